@@ -3,83 +3,717 @@ const yaml = require('yaml');
 const glob = require('glob');
 const fs = require('fs');
 const path = require('path');
+const minimatch = require('minimatch');
+
+const DEFAULT_EXCLUDE_PATTERNS = [
+    '**/node_modules/**',
+    '**/.git/**',
+    '**/target/**',
+    '**/build/**',
+    '**/dist/**',
+    '**/out/**',
+    '**/.vscode/**',
+];
+const DEFAULT_INCLUDE_PATTERNS = ['**/*.yml', '**/*.yaml'];
+// Files searched besides YAML, by format adapter id (see FORMAT_ADAPTERS)
+const DEFAULT_FORMAT_PATTERNS = {
+    properties: ['**/*.properties'],
+    env: ['**/.env', '**/.env.*', '**/*.env'],
+    json: ['**/{application,appsettings,config,settings}*.json', '**/config/**/*.json'],
+    toml: ['**/*.toml']
+};
+// Patterns recognizing YAML key references in application code; group 1 is the key path
+const DEFAULT_REFERENCE_PATTERNS = [
+    '\\$\\{([A-Za-z0-9_.\\[\\]-]+)(?::[^}]*)?\\}',
+    '\\.get\\(\\s*[\'"]([^\'"]+)[\'"]',
+    '\\[\\s*[\'"]([^\'"]+)[\'"]\\s*\\]'
+];
+// Patterns recognizing code that binds a whole subtree of keys; group 1 is the prefix
+const DEFAULT_BINDING_PATTERNS = [
+    '@ConfigurationProperties\\(\\s*(?:(?:prefix|value)\\s*=\\s*)?"([^"]+)"'
+];
+const DEFAULT_REFERENCE_FILES = '**/*.{java,kt,kts,groovy,scala,js,jsx,mjs,cjs,ts,tsx,py,rb,go,cs,php}';
+// Helm chart templates, scanned for .Values references when a Chart.yaml is above them
+const HELM_TEMPLATE_FILES = '**/templates/**/*.{yaml,yml,tpl}';
+// `.Values.a.b`, `$.Values.a.b` and `index .Values "a-b" "c"`; group 1/3 hold the dot path, group 2 the index keys
+const HELM_VALUES_PATTERN = /\bindex\s+\$?\.Values\b((?:\.\w+)*)((?:\s+"[^"\n]*")+)|\$?\.Values\b((?:\.\w+)*)/g;
+// Source files larger than this are not scanned for key references
+const MAX_REFERENCE_FILE_SIZE = 1024 * 1024;
+const INDEX_CACHE_VERSION = 5;
+// Most entries a document may inherit through aliases and merge keys (cf. yaml's maxAliasCount)
+const MAX_INHERITED_KEY_PATHS = 10000;
+
+/**
+ * Workspace key index: every YAML file's key paths, values and ranges, kept up to
+ * date by file system watchers so searches never have to re-read the workspace
+ */
+const keyIndex = {
+    files: new Map(), // filePath -> {mtimeMs, size, keyPaths}
+    byPath: new Map(), // key path -> entries defining it across the indexed files, for placeholder lookups
+    documents: new Map(), // filePath -> {version, keyPaths} for open documents with unsaved changes
+    ready: null, // Promise for the current (re)build
+    generation: 0, // Bumped by each (re)build, so a superseded build stops early
+    cachePath: null,
+    saveTimer: null
+};
+
+/**
+ * Key references found in application code (see yamlKeySearch.referencePatterns)
+ * and .Values references in Helm templates, kept up to date by file system watchers
+ */
+const referenceIndex = {
+    files: new Map(), // filePath -> {mtimeMs, references}
+    charts: null, // Helm chart root -> {referenced, bound} key paths, rebuilt after any change
+    helmSubchartKeys: new Map(), // Helm chart root -> {stamp, keys}
+    ready: null, // Promise for the current (re)build
+    emitter: null // Fires when references change, to refresh CodeLenses
+};
+
+/**
+ * Parsed .env file used for placeholder environment fallbacks
+ */
+const envFileCache = {
+    path: null,
+    mtimeMs: 0,
+    variables: new Map()
+};
+
+/**
+ * Results of the last search, kept in the YAML Keys view after the Quick Pick closes
+ */
+const resultsView = {
+    results: [],
+    query: '',
+    subject: 'key', // 'key' or 'value'
+    emitter: null,
+    treeView: null
+};
+
+/**
+ * Converts a character offset into a 1-indexed line/column pair
+ * @param {yaml.LineCounter} lineCounter - Line counter filled while parsing
+ * @param {number} offset - Character offset in the file
+ * @returns {{line: number, column: number}} 1-indexed position
+ */
+function offsetToPosition(lineCounter, offset) {
+    const pos = lineCounter.linePos(offset);
+    return { line: pos.line, column: pos.col };
+}
+
+/**
+ * Builds the span covered by a YAML node's value (excluding trailing comments)
+ * @param {Object} node - The YAML AST node
+ * @param {yaml.LineCounter} lineCounter - Line counter filled while parsing
+ * @returns {Object|null} {start, end, startLine, startColumn, endLine, endColumn} or null for empty values
+ */
+function getNodeSpan(node, lineCounter) {
+    if (!node || !node.range) {
+        return null;
+    }
+
+    return getTextSpan(lineCounter, node.range[0], node.range[1]);
+}
+
+/**
+ * Builds a span between two character offsets
+ * @param {yaml.LineCounter} lineCounter - Line counter for the text
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {Object} {start, end, startLine, startColumn, endLine, endColumn}
+ */
+function getTextSpan(lineCounter, start, end) {
+    const startPos = offsetToPosition(lineCounter, start);
+    const endPos = offsetToPosition(lineCounter, end);
+
+    return {
+        start: start,
+        end: end,
+        startLine: startPos.line,
+        startColumn: startPos.column,
+        endLine: endPos.line,
+        endColumn: endPos.column
+    };
+}
+
+/**
+ * Creates a line counter for text that is not parsed as YAML
+ * @param {string} content - The text
+ * @returns {yaml.LineCounter} Line counter knowing every line start
+ */
+function createLineCounter(content) {
+    const lineCounter = new yaml.LineCounter();
+    lineCounter.addNewLine(0);
+    for (let index = content.indexOf('\n'); index !== -1; index = content.indexOf('\n', index + 1)) {
+        lineCounter.addNewLine(index + 1);
+    }
+    return lineCounter;
+}
+
+/**
+ * Describes how a value is written in the source
+ * @param {Object} node - The YAML AST value node
+ * @returns {string} 'MAP', 'SEQ', 'ALIAS' or the scalar type ('PLAIN', 'QUOTE_SINGLE', 'QUOTE_DOUBLE', 'BLOCK_LITERAL', 'BLOCK_FOLDED')
+ */
+function getValueStyle(node) {
+    if (yaml.isMap(node)) {
+        return 'MAP';
+    }
+    if (yaml.isSeq(node)) {
+        return 'SEQ';
+    }
+    if (yaml.isAlias(node)) {
+        return 'ALIAS';
+    }
+    return (node && node.type) || 'PLAIN';
+}
+
+/**
+ * Tells whether a mapping key is the YAML merge key (`<<`)
+ * @param {Object} keyNode - The key node
+ * @returns {boolean} True for a plain `<<` key
+ */
+function isMergeKey(keyNode) {
+    if (!yaml.isScalar(keyNode) || keyNode.type !== 'PLAIN') {
+        return false;
+    }
+    return keyNode.value === '<<' || (typeof keyNode.value === 'symbol' && keyNode.value.description === '<<');
+}
+
+/**
+ * Tells whether a key is written in the file itself, rather than inherited through a
+ * merge key or reached through an alias (such entries have no spans to edit)
+ * @param {Object} entry - Entry from extractKeyPaths()
+ * @returns {boolean} True when the key can be edited where it is
+ */
+function isLocalKeyPath(entry) {
+    return Boolean(entry && entry.keySpan);
+}
+
+/**
+ * Gets the anchor an alias refers to, as recorded while walking the document
+ * @param {Map<string, Object>} anchors - Anchors defined so far, by name
+ * @param {string} name - The anchor name
+ * @returns {Object} {name, path, segments, line, column, uses}
+ */
+function getAnchorInfo(anchors, name) {
+    if (!anchors.has(name)) {
+        // Anchored document roots and keys have no key path of their own
+        anchors.set(name, { name, path: null, segments: null, line: -1, column: -1, uses: 0 });
+    }
+    return anchors.get(name);
+}
 
 /**
- * Parses a YAML object and extracts all possible key paths with their locations
- * @param {Object} obj - The parsed YAML object
- * @param {string} prefix - Current key path prefix
+ * Walks a parsed YAML document and extracts all possible key paths with their exact locations
+ * @param {Object} node - The YAML AST node (map, sequence or scalar)
+ * @param {Array<string|number>} prefix - Key path segments of the parent node
  * @param {Array} paths - Array to store found paths
- * @param {Array} lines - Array of file lines for location tracking
- * @returns {Array} Array of {path, line, column, value} objects
+ * @param {yaml.Document} doc - The document the node belongs to (used to resolve values)
+ * @param {yaml.LineCounter} lineCounter - Line counter filled while parsing
+ * @param {boolean} parentInFlow - Whether the node sits inside a flow collection
+ * @param {Map<string, Object>} anchors - Anchors defined so far in the document, by name
+ * @param {Object} expansion - {active, inherited}: the collections being walked (so an alias
+ *   back into one of them is not expanded again) and the number of inherited entries so far
+ * @returns {Array} Array of {path, segments, line, column, value, collection, key, fullPath, keySpan, valueSpan, valueStyle, inFlow, origin, anchor, anchorPath} objects
  */
-function extractKeyPaths(obj, prefix = '', paths = [], lines = []) {
-    if (typeof obj !== 'object' || obj === null) {
-        return paths;
+function extractKeyPaths(node, prefix = [], paths = [], doc = null, lineCounter = null, parentInFlow = false, anchors = new Map(), expansion = { active: new Set(), inherited: 0 }) {
+    const inFlow = parentInFlow || Boolean(node && node.flow);
+    if (yaml.isMap(node) || yaml.isSeq(node)) {
+        expansion.active.add(node);
     }
 
-    Object.keys(obj).forEach(key => {
-        const currentPath = prefix ? `${prefix}.${key}` : key;
-        const value = obj[key];
-        
-        // Try to find the line number where this key appears
-        let lineNumber = -1;
-        let columnNumber = -1;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            // Look for the key at the appropriate indentation level
-            const regex = new RegExp(`^\\s*${key}\\s*:`, 'g');
-            const match = regex.exec(line);
-            if (match) {
-                lineNumber = i + 1; // 1-indexed
-                columnNumber = match.index + 1; // 1-indexed
-                break;
+    if (yaml.isMap(node)) {
+        const merges = [];
+        const localKeys = new Set();
+        node.items.forEach(pair => {
+            if (pair.key === null || pair.key === undefined) {
+                return;
             }
-        }
-        
-        paths.push({
+            if (isMergeKey(pair.key)) {
+                merges.push(pair);
+                return;
+            }
+
+            const key = yaml.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+            localKeys.add(key);
+            addKeyPath(pair.key, pair.value, key, prefix, paths, doc, lineCounter, inFlow, anchors, expansion);
+        });
+
+        // Local keys override merged ones, and earlier merge sources override later ones
+        merges.forEach(pair => {
+            const sources = yaml.isSeq(pair.value) ? pair.value.items : [pair.value];
+            const mergeSpan = getNodeSpan(pair.key, lineCounter);
+            sources.forEach(source => {
+                if (!yaml.isAlias(source)) {
+                    return;
+                }
+                const target = source.resolve(doc);
+                if (!yaml.isMap(target) || expansion.active.has(target) || expansion.inherited >= MAX_INHERITED_KEY_PATHS) {
+                    return;
+                }
+                const anchor = getAnchorInfo(anchors, source.source);
+                const inherited = limitInheritedKeyPaths(extractKeyPaths(target, [], [], doc, lineCounter, false, anchors, expansion)
+                    .filter(entry => !localKeys.has(String(entry.segments[0]))), expansion);
+                inherited.forEach(entry => paths.push(inheritKeyPath(entry, prefix, 'merge', anchor, mergeSpan)));
+                inherited.forEach(entry => localKeys.add(String(entry.segments[0])));
+            });
+        });
+    } else if (yaml.isSeq(node)) {
+        node.items.forEach((item, index) => {
+            addKeyPath(item, item, index, prefix, paths, doc, lineCounter, inFlow, anchors, expansion);
+        });
+    }
+
+    expansion.active.delete(node);
+    return paths;
+}
+
+/**
+ * Caps the entries a document inherits through aliases, so that aliases nesting other
+ * aliases cannot blow up the index
+ * @param {Array} entries - Entries about to be inherited
+ * @param {Object} expansion - Expansion state from extractKeyPaths()
+ * @returns {Array} The entries that still fit
+ */
+function limitInheritedKeyPaths(entries, expansion) {
+    const allowed = entries.slice(0, Math.max(0, MAX_INHERITED_KEY_PATHS - expansion.inherited));
+    if (allowed.length < entries.length) {
+        console.warn(`Stopped expanding aliases after ${MAX_INHERITED_KEY_PATHS} inherited keys`);
+    }
+    expansion.inherited += allowed.length;
+    return allowed;
+}
+
+/**
+ * Re-roots an entry found under an anchor at the place that reuses it. Inherited entries
+ * have no spans: their line points at the `<<` key or alias, and anchorPath at the key
+ * under the anchor that actually holds the value.
+ * @param {Object} entry - Entry relative to the anchored node
+ * @param {Array<string|number>} prefix - Key path segments where the anchor is reused
+ * @param {string} origin - 'merge' for `<<: *anchor`, 'alias' for `key: *anchor`
+ * @param {Object} anchor - The anchor, from getAnchorInfo()
+ * @param {Object} span - Span of the `<<` key or alias
+ * @returns {Object} The inherited entry
+ */
+function inheritKeyPath(entry, prefix, origin, anchor, span) {
+    const segments = prefix.concat(entry.segments);
+    const currentPath = formatKeyPath(segments);
+    // Keys the anchor itself inherited still come from their own anchor
+    const written = isLocalKeyPath(entry);
+    return Object.assign({}, entry, {
+        path: currentPath,
+        segments: segments,
+        line: span ? span.startLine : -1,
+        column: span ? span.startColumn : -1,
+        fullPath: currentPath,
+        keySpan: null,
+        valueSpan: null,
+        origin: written ? origin : entry.origin,
+        anchor: written ? anchor : entry.anchor,
+        anchorPath: written ? (anchor.segments ? formatKeyPath(anchor.segments.concat(entry.segments)) : null) : entry.anchorPath
+    });
+}
+
+/**
+ * Records a single key path entry and descends into its value
+ * @param {Object} keyNode - Node marking where the key starts (the key scalar, or the item for sequences)
+ * @param {Object} valueNode - The value node
+ * @param {string|number} key - The key name, or the index for sequence items
+ * @param {Array<string|number>} prefix - Key path segments of the parent node
+ * @param {Array} paths - Array to store found paths
+ * @param {yaml.Document} doc - The document the node belongs to
+ * @param {yaml.LineCounter} lineCounter - Line counter filled while parsing
+ * @param {boolean} inFlow - Whether the key sits inside a flow collection
+ * @param {Map<string, Object>} anchors - Anchors defined so far in the document, by name
+ * @param {Object} expansion - Expansion state from extractKeyPaths()
+ */
+function addKeyPath(keyNode, valueNode, key, prefix, paths, doc, lineCounter, inFlow, anchors, expansion) {
+    const segments = prefix.concat(key);
+    const currentPath = formatKeyPath(segments);
+    const keySpan = getNodeSpan(keyNode, lineCounter);
+    const valueSpan = getNodeSpan(valueNode, lineCounter);
+
+    // Only scalars keep their value: collections are rebuilt from their children on demand
+    // (see getKeyPathValue()), so the index does not hold a copy of every subtree
+    const target = yaml.isAlias(valueNode) ? valueNode.resolve(doc) : valueNode;
+    const collection = yaml.isMap(target) ? 'map' : yaml.isSeq(target) ? 'seq' : null;
+    // Empty values (e.g. "key:") have no node, so resolve them to null
+    let value = null;
+    if (!collection && target !== null && target !== undefined) {
+        value = typeof target.toJS === 'function' ? target.toJS(doc) : target;
+    }
+
+    const anchor = yaml.isAlias(valueNode) ? getAnchorInfo(anchors, valueNode.source) : null;
+    paths.push({
+        path: currentPath,
+        segments: segments,
+        line: keySpan ? keySpan.startLine : -1,
+        column: keySpan ? keySpan.startColumn : -1,
+        value: value,
+        collection: collection,
+        key: String(key),
+        fullPath: currentPath, // Keep full path for better matching
+        keySpan: keySpan,
+        valueSpan: valueSpan,
+        valueStyle: getValueStyle(valueNode),
+        inFlow: inFlow,
+        origin: anchor ? 'alias' : 'local',
+        anchor: anchor,
+        anchorPath: anchor ? anchor.path : null
+    });
+
+    if (valueNode && valueNode.anchor) {
+        anchors.set(valueNode.anchor, {
+            name: valueNode.anchor,
             path: currentPath,
-            line: lineNumber,
-            column: columnNumber,
-            value: value,
-            key: key,
-            fullPath: currentPath // Keep full path for better matching
+            segments: segments,
+            line: keySpan ? keySpan.startLine : -1,
+            column: keySpan ? keySpan.startColumn : -1,
+            uses: 0
         });
-        
-        if (typeof value === 'object' && value !== null) {
-            extractKeyPaths(value, currentPath, paths, lines);
+    }
+
+    if (yaml.isMap(valueNode) || yaml.isSeq(valueNode)) {
+        extractKeyPaths(valueNode, segments, paths, doc, lineCounter, inFlow, anchors, expansion);
+    } else if (anchor) {
+        // An alias back into a collection being walked (`a: &x {b: *x}`) is recorded but not expanded
+        if ((yaml.isMap(target) || yaml.isSeq(target)) && !expansion.active.has(target) &&
+            expansion.inherited < MAX_INHERITED_KEY_PATHS) {
+            limitInheritedKeyPaths(extractKeyPaths(target, [], [], doc, lineCounter, false, anchors, expansion), expansion)
+                .forEach(entry => paths.push(inheritKeyPath(entry, segments, 'alias', anchor, valueSpan)));
+        }
+    }
+}
+
+/**
+ * Gets an entry's value. Scalars are stored on the entry; mappings and sequences are
+ * rebuilt from the entries below them.
+ * @param {Object} entry - Key path entry
+ * @param {Array} [keyPaths] - Entries of the entry's file (the indexed ones when omitted)
+ * @returns {*} The value
+ */
+function getKeyPathValue(entry, keyPaths = null) {
+    if (!entry.collection) {
+        return entry.value;
+    }
+
+    const value = entry.collection === 'seq' ? [] : {};
+    const depth = entry.segments.length;
+    (keyPaths || getIndexedKeyPaths(entry.file))
+        .filter(candidate => candidate.documentIndex === entry.documentIndex &&
+            candidate.segments.length > depth &&
+            segmentsEqual(candidate.segments.slice(0, depth), entry.segments))
+        .sort((a, b) => a.segments.length - b.segments.length)
+        .forEach(candidate => {
+            let parent = value;
+            candidate.segments.slice(depth, -1).forEach(segment => {
+                parent = parent !== null && typeof parent === 'object' ? parent[segment] : undefined;
+            });
+            if (parent !== null && typeof parent === 'object') {
+                parent[candidate.segments[candidate.segments.length - 1]] = candidate.collection
+                    ? (candidate.collection === 'seq' ? [] : {})
+                    : candidate.value;
+            }
+        });
+    return value;
+}
+
+/**
+ * Formats key path segments as a dot-notation path.
+ * Sequence indices are written as `[0]`, and keys that cannot be written in plain
+ * dot notation (containing dots, brackets or quotes) as `["app.kubernetes.io/name"]`.
+ * @param {Array<string|number>} segments - Key path segments
+ * @returns {string} Dot-notation path
+ */
+function formatKeyPath(segments) {
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') {
+            return `[${segment}]`;
+        }
+        if (segment === '' || /[.[\]"'\s]/.test(segment)) {
+            return `[${JSON.stringify(segment)}]`;
+        }
+        return index === 0 ? segment : `.${segment}`;
+    }).join('');
+}
+
+/**
+ * Reads a quoted segment ("..." or '...') starting at the given position
+ * @param {string} text - The text being parsed
+ * @param {number} start - Index of the opening quote
+ * @returns {{value: string, end: number}} Unescaped value and the index of the closing quote
+ */
+function readQuotedSegment(text, start) {
+    const quote = text[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < text.length && text[i] !== quote) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            i++;
+        }
+        value += text[i];
+        i++;
+    }
+
+    return { value, end: i };
+}
+
+/**
+ * Splits a path query into raw tokens. Dots separate keys (except inside {a,b}
+ * alternations), and brackets hold either an index (`[0]`, `[*]`) or a quoted
+ * key that may itself contain dots (`["app.kubernetes.io/name"]`).
+ * @param {string} query - The path query
+ * @returns {Array<Object>} Tokens of type 'key', 'index' or 'literal'
+ */
+function splitQuerySegments(query) {
+    const tokens = [];
+    let current = '';
+    let braceDepth = 0;
+
+    const flush = () => {
+        if (current !== '') {
+            tokens.push({ type: 'key', text: current });
+        }
+        current = '';
+    };
+
+    for (let i = 0; i < query.length; i++) {
+        const char = query[i];
+
+        if (char === '{') {
+            braceDepth++;
+        } else if (char === '}') {
+            braceDepth = Math.max(0, braceDepth - 1);
+        }
+
+        if (braceDepth > 0) {
+            current += char;
+        } else if (char === '.') {
+            flush();
+        } else if (char === '[') {
+            flush();
+            let inner = '';
+            let j = i + 1;
+            if (query[j] === '"' || query[j] === "'") {
+                const quoted = readQuotedSegment(query, j);
+                tokens.push({ type: 'literal', text: quoted.value });
+                j = quoted.end + 1;
+                while (j < query.length && query[j] !== ']') {
+                    j++;
+                }
+            } else {
+                while (j < query.length && query[j] !== ']') {
+                    inner += query[j];
+                    j++;
+                }
+                inner = inner.trim();
+                if (inner === '*') {
+                    tokens.push({ type: 'index', index: '*' });
+                } else if (/^\d+$/.test(inner)) {
+                    tokens.push({ type: 'index', index: parseInt(inner, 10) });
+                } else {
+                    tokens.push({ type: 'literal', text: inner });
+                }
+            }
+            i = j;
+        } else {
+            current += char;
+        }
+    }
+    flush();
+
+    return tokens;
+}
+
+/**
+ * Converts a single query segment (with * globs and {a,b} alternation) into a RegExp source
+ * @param {string} segment - The query segment
+ * @returns {string} RegExp source matching one key
+ */
+function querySegmentToRegExpSource(segment) {
+    let source = '';
+
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '*') {
+            source += '.*';
+        } else if (char === '{') {
+            const close = segment.indexOf('}', i);
+            if (close === -1) {
+                source += escapeRegExp(char);
+                continue;
+            }
+            const alternatives = segment.slice(i + 1, close).split(',').map(querySegmentToRegExpSource);
+            source += `(?:${alternatives.join('|')})`;
+            i = close;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compiles a search key into a path query.
+ *
+ * Plain keys keep the classic behaviour (exact path or substring match). Keys using
+ * query syntax are matched segment by segment:
+ *   - `*` matches one level (`database.*.timeout`), or part of a key (`time*`)
+ *   - `**` matches any number of levels (`**.timeout`)
+ *   - `{a,b}` matches either alternative (`server.ssl.{key,certificate}`)
+ *   - `[0]` / `[*]` match one or any sequence index (`servers[*].host`)
+ *   - `["..."]` matches a key containing dots (`annotations["app.kubernetes.io/name"]`)
+ *   - `^` / `$` anchor the query to the start / end of the path
+ * Unanchored queries may match any run of consecutive levels.
+ * @param {string} searchKey - The search input
+ * @returns {Object} Compiled query
+ */
+function compilePathQuery(searchKey) {
+    let query = searchKey.trim();
+    const isPattern = /[*{}[\]]/.test(query) || query.startsWith('^') || query.endsWith('$');
+
+    if (!isPattern) {
+        return { isPattern: false, text: query };
+    }
+
+    const anchoredStart = query.startsWith('^');
+    const anchoredEnd = query.endsWith('$');
+    if (anchoredStart) {
+        query = query.slice(1);
+    }
+    if (anchoredEnd) {
+        query = query.slice(0, -1);
+    }
+
+    const tokens = splitQuerySegments(query).map(token => {
+        if (token.type === 'key' && token.text === '**') {
+            return { anyDepth: true };
         }
+        if (token.type === 'index') {
+            return { anyDepth: false, index: token.index };
+        }
+        const source = token.type === 'literal' ? escapeRegExp(token.text) : querySegmentToRegExpSource(token.text);
+        return { anyDepth: false, regex: new RegExp(`^${source}$`) };
     });
-    
-    return paths;
+
+    return { isPattern: true, text: searchKey, anchoredStart, anchoredEnd, tokens };
+}
+
+/**
+ * Checks whether query tokens match key path segments starting at the given positions
+ * @param {Array} tokens - Compiled query tokens
+ * @param {Array<string|number>} segments - Key path segments
+ * @param {number} tokenIndex - Current token
+ * @param {number} segmentIndex - Current segment
+ * @param {boolean} toEnd - Whether the match must consume every remaining segment
+ * @returns {boolean} True when the tokens match
+ */
+function matchQueryTokens(tokens, segments, tokenIndex, segmentIndex, toEnd) {
+    if (tokenIndex === tokens.length) {
+        return !toEnd || segmentIndex === segments.length;
+    }
+
+    const token = tokens[tokenIndex];
+    if (token.anyDepth) {
+        for (let next = segmentIndex; next <= segments.length; next++) {
+            if (matchQueryTokens(tokens, segments, tokenIndex + 1, next, toEnd)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    if (segmentIndex >= segments.length) {
+        return false;
+    }
+
+    const segment = segments[segmentIndex];
+    const segmentMatches = token.regex
+        // Plain keys also match sequence indices, so legacy `servers.0.host` keeps working
+        ? token.regex.test(String(segment))
+        : typeof segment === 'number' && (token.index === '*' || token.index === segment);
+
+    return segmentMatches &&
+        matchQueryTokens(tokens, segments, tokenIndex + 1, segmentIndex + 1, toEnd);
+}
+
+/**
+ * Matches an extracted key path against a compiled query
+ * @param {Object} query - Query from compilePathQuery()
+ * @param {Object} keyPath - Entry from extractKeyPaths()
+ * @returns {Object|null} {isExactMatch} when the path matches, otherwise null
+ */
+function matchKeyPath(query, keyPath) {
+    if (!query.isPattern) {
+        // Also compare against the legacy all-dots form (servers.0.host)
+        const dottedPath = keyPath.segments.join('.');
+        if (keyPath.path === query.text || dottedPath === query.text) {
+            return { isExactMatch: true };
+        }
+        if (keyPath.relaxed) {
+            // .env variables bind to dot paths the way Spring does (DATABASE_CONNECTION_HOST)
+            const envName = toEnvironmentName(query.text);
+            if (keyPath.key === envName) {
+                return { isExactMatch: true };
+            }
+            if (keyPath.key.includes(envName)) {
+                return { isExactMatch: false };
+            }
+        }
+        return keyPath.path.includes(query.text) || dottedPath.includes(query.text) ? { isExactMatch: false } : null;
+    }
+
+    const { tokens, anchoredStart, anchoredEnd } = query;
+    const segments = keyPath.segments;
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    if (matchQueryTokens(tokens, segments, 0, 0, true)) {
+        return { isExactMatch: true };
+    }
+
+    const lastStart = anchoredStart ? 0 : segments.length;
+    for (let start = 0; start <= lastStart; start++) {
+        if (matchQueryTokens(tokens, segments, 0, start, anchoredEnd)) {
+            return { isExactMatch: false };
+        }
+    }
+
+    return null;
 }
 
 /**
- * Searches for YAML files in the workspace
+ * Searches for YAML files, and files of the other enabled formats, in the workspace
  * @param {string} workspacePath - The workspace root path
- * @returns {Promise<Array>} Array of YAML file paths
+ * @returns {Promise<Array>} Array of file paths
+ */
+async function findConfigFiles(workspacePath) {
+    const patterns = [];
+    FORMAT_ADAPTERS.forEach(adapter => patterns.push(...getFormatPatterns(adapter)));
+
+    const files = new Set();
+    for (const pattern of patterns) {
+        (await globConfigFiles(path.join(workspacePath, pattern))).forEach(file => files.add(file));
+    }
+    // Helm templates are Go templates, not configuration
+    return Array.from(files).filter(file => getHelmTemplateChart(file) === null);
+}
+
+/**
+ * Lists the files matching one include pattern, minus the excluded ones
+ * @param {string} pattern - Absolute glob pattern
+ * @returns {Promise<Array>} Array of file paths
  */
-function findYamlFiles(workspacePath) {
+function globConfigFiles(pattern) {
     return new Promise((resolve, reject) => {
         // Get configuration settings
         const config = vscode.workspace.getConfiguration('yamlKeySearch');
-        const excludePatterns = config.get('excludePatterns', [
-            '**/node_modules/**',
-            '**/.git/**',
-            '**/target/**',
-            '**/build/**',
-            '**/dist/**',
-            '**/out/**',
-            '**/.vscode/**',
-        ]);
-        const includePatterns = config.get('includePatterns', ['**/*.yml', '**/*.yaml']);
-        
-        // Use the configured include patterns
-        const patterns = includePatterns.map(pattern => path.join(workspacePath, pattern));
-        
-        // If multiple patterns, use the first one for now (could be enhanced to merge results)
-        const pattern = patterns[0] || path.join(workspacePath, '**/*.{yml,yaml}');
-        
+        const excludePatterns = config.get('excludePatterns', DEFAULT_EXCLUDE_PATTERNS);
+
         glob(pattern, { 
             ignore: excludePatterns,
             nodir: true,
@@ -93,13 +727,13 @@ function findYamlFiles(workspacePath) {
                 // Filter out any files that don't actually exist or have invalid paths
                 const validFiles = files.filter(file => {
                     try {
-                        // Additional validation to prevent .java.git type errors
-                        if (file.includes('.java.git') || file.includes('.class.yaml') || file.includes('.tmp.')) {
+                        // glob only tests ignore patterns against absolute paths
+                        if (!isValidConfigFilePath(file) || isExcludedFile(file)) {
                             return false;
                         }
                         
                         const stats = fs.statSync(file);
-                        return stats.isFile() && (file.endsWith('.yml') || file.endsWith('.yaml'));
+                        return stats.isFile();
                     } catch (error) {
                         // File doesn't exist or can't be accessed
                         return false;
@@ -112,383 +746,5114 @@ function findYamlFiles(workspacePath) {
 }
 
 /**
- * Searches for a specific key path in a YAML file
- * @param {string} filePath - Path to the YAML file
- * @param {string} searchKey - The dot-notation key to search for
- * @returns {Promise<Array>} Array of matches
+ * Checks a file path against the supported formats and known bogus paths
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True when the path looks like a real configuration file
  */
-async function searchKeyInFile(filePath, searchKey) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-        
-        // Handle multi-document YAML files (separated by ---)
-        const documents = content.split(/^---\s*$/m);
-        let matches = [];
-        let documentStartLine = 0;
-        
-        for (let docIndex = 0; docIndex < documents.length; docIndex++) {
-            const docContent = documents[docIndex].trim();
-            if (!docContent) {
-                documentStartLine += documents[docIndex].split('\n').length;
-                continue;
-            }
-            
-            try {
-                const parsed = yaml.parse(docContent);
-                if (parsed) {
-                    const docLines = docContent.split('\n');
-                    const keyPaths = extractKeyPaths(parsed, '', [], docLines);
-                    
-                    // Find exact matches and partial matches
-                    keyPaths.forEach(keyPath => {
-                        if (keyPath.path === searchKey || keyPath.path.includes(searchKey)) {
-                            matches.push({
-                                file: filePath,
-                                path: keyPath.path,
-                                line: keyPath.line + documentStartLine,
-                                column: keyPath.column,
-                                value: keyPath.value,
-                                key: keyPath.key,
-                                fullPath: keyPath.fullPath,
-                                isExactMatch: keyPath.path === searchKey
-                            });
-                        }
-                    });
-                }
-            } catch (parseError) {
-                console.warn(`Failed to parse YAML document ${docIndex + 1} in ${filePath}:`, parseError.message);
-            }
-            
-            documentStartLine += documents[docIndex].split('\n').length + 1; // +1 for the --- separator
-        }
-        
-        return matches;
-    } catch (error) {
-        console.error(`Error reading file ${filePath}:`, error);
-        return [];
+function isValidConfigFilePath(filePath) {
+    // Additional validation to prevent .java.git type errors
+    if (filePath.includes('.java.git') || filePath.includes('.class.yaml') || filePath.includes('.tmp.')) {
+        return false;
     }
+    return getFormatAdapter(filePath) !== null;
 }
 
 /**
- * Shows search results in a Quick Pick
- * @param {Array} results - Array of search results
- * @param {string} searchKey - The searched key
- * @param {boolean} isReplace - Whether this is for replace functionality
+ * Checks whether a file belongs in the search, honouring the include/exclude settings
+ * (the single-file equivalent of findConfigFiles, used for watcher events)
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True when the file should be indexed
  */
-function showSearchResults(results, searchKey, isReplace = false) {
-    if (results.length === 0) {
-        vscode.window.showInformationMessage(`No matches found for key: ${searchKey}`);
-        return;
+function isIndexableFile(filePath) {
+    if (!isValidConfigFilePath(filePath)) {
+        return false;
     }
 
-    const items = results.map(result => ({
-        label: `$(file) ${getSmartDisplayName(result.file, results)}`,
-        description: result.path,
-        detail: `Line ${result.line}: ${JSON.stringify(result.value)} ${result.isExactMatch ? '(Exact Match)' : '(Partial Match)'}`,
-        result: result
-    }));
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    if (!folder) {
+        return false;
+    }
 
-    if (isReplace) {
-        // Show replace options instead of just navigation
-        showReplaceOptions(results, searchKey);
-    } else {
-        vscode.window.showQuickPick(items, {
-            placeHolder: `Found ${results.length} matches for "${searchKey}"`,
-            matchOnDescription: true
-        }).then(selection => {
-            if (selection) {
-                // Open the file and go to the line
-                vscode.workspace.openTextDocument(selection.result.file).then(doc => {
-                    vscode.window.showTextDocument(doc).then(editor => {
-                        const position = new vscode.Position(selection.result.line - 1, selection.result.column - 1);
-                        editor.selection = new vscode.Selection(position, position);
-                        editor.revealRange(new vscode.Range(position, position));
-                    });
-                });
+    const includePatterns = getFormatPatterns(getFormatAdapter(filePath));
+    const relativePath = path.relative(folder.uri.fsPath, filePath).split(path.sep).join('/');
+
+    if (isExcludedFile(filePath)) {
+        return false;
+    }
+    return includePatterns.some(pattern => minimatch(relativePath, pattern, { dot: true })) &&
+        getHelmTemplateChart(filePath) === null;
+}
+
+/**
+ * Checks a file against yamlKeySearch.excludePatterns. Patterns match either the absolute
+ * path or the path relative to the file's workspace folder (`config/app.yml`), so file
+ * discovery and incremental indexing agree on what is excluded.
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True when an exclude pattern matches
+ */
+function isExcludedFile(filePath) {
+    const excludePatterns = vscode.workspace.getConfiguration('yamlKeySearch').get('excludePatterns', DEFAULT_EXCLUDE_PATTERNS);
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    const relativePath = folder ? path.relative(folder.uri.fsPath, filePath).split(path.sep).join('/') : null;
+    return excludePatterns.some(pattern => minimatch(filePath, pattern, { dot: true }) ||
+        (relativePath !== null && minimatch(relativePath, pattern, { dot: true })));
+}
+
+/**
+ * Reads a YAML file and extracts the key paths of every document in it
+ * @param {string} filePath - Path to the YAML file
+ * @param {string} content - File content (read from disk when omitted)
+ * @returns {Array} Array of key path entries tagged with file and documentIndex
+ */
+function readYamlKeyPaths(filePath, content = fs.readFileSync(filePath, 'utf8')) {
+    // Parse every document (separated by ---) in one pass so offsets stay file-relative
+    const lineCounter = new yaml.LineCounter();
+    const documents = yaml.parseAllDocuments(content, { lineCounter, merge: true });
+    let keyPaths = [];
+
+    for (let docIndex = 0; docIndex < documents.length; docIndex++) {
+        const doc = documents[docIndex];
+
+        if (doc.errors && doc.errors.length > 0) {
+            console.warn(`Failed to parse YAML document ${docIndex + 1} in ${filePath}:`, doc.errors[0].message);
+            continue;
+        }
+
+        const anchors = new Map();
+        const docPaths = extractKeyPaths(doc.contents, [], [], doc, lineCounter, false, anchors);
+        const document = getDocumentIdentity(docPaths, docIndex, documents.length);
+        docPaths.forEach(keyPath => {
+            keyPaths.push(Object.assign({ file: filePath, documentIndex: docIndex, document }, keyPath));
+        });
+
+        // Entries share their anchor's record, so counting here updates them all
+        yaml.visit(doc, {
+            Alias(_, alias) {
+                getAnchorInfo(anchors, alias.source).uses++;
             }
         });
     }
+
+    return keyPaths;
 }
 
 /**
- * Shows replace options using a webview modal
- * @param {Array} results - Array of search results
- * @param {string} searchKey - The searched key
+ * Works out what a YAML document is: the Spring profile it is activated for
+ * (spring.config.activate.on-profile, or the legacy spring.profiles) or the
+ * Kubernetes object it describes (kind and metadata.name)
+ * @param {Array} docPaths - Entries extracted from the document
+ * @param {number} index - The document's index in its file
+ * @param {number} count - Number of documents in the file
+ * @returns {Object} {index, count, profile, profiles, kind, name}
  */
-async function showReplaceOptions(results, searchKey) {
-    const panel = vscode.window.createWebviewPanel(
-        'yamlReplaceModal',
-        'YAML Find & Replace',
-        vscode.ViewColumn.Beside,
-        {
-            enableScripts: true,
-            retainContextWhenHidden: true
+function getDocumentIdentity(docPaths, index, count) {
+    const valueAt = keyPath => {
+        const entry = docPaths.find(candidate => candidate.path === keyPath && isLocalKeyPath(candidate));
+        const value = entry ? getKeyPathValue(entry, docPaths) : null;
+        if (value === null || value === undefined) {
+            return null;
         }
-    );
+        return Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? null : String(value);
+    };
 
-    // Group results by value for better display
-    const valueGroups = {};
-    results.forEach(result => {
-        const valueKey = JSON.stringify(result.value);
-        if (!valueGroups[valueKey]) {
-            valueGroups[valueKey] = [];
-        }
-        valueGroups[valueKey].push(result);
+    // Profile expressions may combine names: "prod & cloud", "qa | staging", "!dev"
+    const profile = valueAt('spring.config.activate.on-profile') || valueAt('spring.profiles');
+    const profiles = profile
+        ? profile.split(/[|&,()\s]+/).filter(name => name && !name.startsWith('!'))
+        : [];
+
+    return {
+        index,
+        count,
+        profile,
+        profiles,
+        kind: valueAt('kind'),
+        name: valueAt('metadata.name')
+    };
+}
+
+/**
+ * Describes the document a result comes from, for result lists
+ * @param {Object} result - A search result or key path entry
+ * @returns {string} e.g. "doc 2 · profile prod" or "Deployment/web"; '' when there is nothing to tell
+ */
+function describeDocument(result) {
+    const info = result.document;
+    if (!info) {
+        return '';
+    }
+
+    const parts = [];
+    if (info.count > 1) {
+        parts.push(`doc ${info.index + 1}`);
+    }
+    if (info.profile) {
+        parts.push(`profile ${info.profile}`);
+    } else if (info.kind) {
+        parts.push(info.name ? `${info.kind}/${info.name}` : info.kind);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Splits document filters (profile=prod, kind=Deployment, name=web, doc=2) off a
+ * search input. Several values are separated by commas: profile=dev,qa.
+ * @param {string} input - The search input
+ * @returns {{query: string, filters: Array<{field: string, values: Array<string>}>}} The remaining query and the filters
+ */
+function parseDocumentFilters(input) {
+    const filters = [];
+    const query = input.replace(/(^|\s)(profile|kind|name|doc)=(\S+)/gi, (match, space, field, values) => {
+        filters.push({ field: field.toLowerCase(), values: values.toLowerCase().split(',') });
+        return space;
     });
+    return { query: query.trim(), filters };
+}
 
-    // Set the webview content
-    panel.webview.html = getWebviewContent(results, searchKey, valueGroups);
+/**
+ * Checks an entry's document against search filters
+ * @param {Object} entry - Key path entry
+ * @param {Array} filters - Filters from parseDocumentFilters()
+ * @returns {boolean} True when every filter matches
+ */
+function matchesDocumentFilters(entry, filters) {
+    const info = entry.document || {};
+    return filters.every(filter => {
+        let candidates = [];
+        if (filter.field === 'profile') {
+            candidates = info.profiles || [];
+        } else if (filter.field === 'kind' && info.kind) {
+            candidates = [info.kind];
+        } else if (filter.field === 'name' && info.name) {
+            candidates = [info.name];
+        } else if (filter.field === 'doc') {
+            candidates = [String(entry.documentIndex + 1)];
+        }
+        return candidates.some(candidate => filter.values.includes(candidate.toLowerCase()));
+    });
+}
 
-    // Handle messages from the webview
-    panel.webview.onDidReceiveMessage(
-        async message => {
-            switch (message.command) {
-                case 'replaceAll':
-                    panel.dispose();
-                    await performBatchReplace(results, message.newValue);
-                    break;
-                case 'reviewEach':
-                    panel.dispose();
-                    await performReviewReplace(results, message.newValue);
-                    break;
-                case 'replaceSelected':
-                    const selectedResults = results.filter((_, index) => 
-                        message.selectedIndices.includes(index)
-                    );
-                    panel.dispose();
-                    await performBatchReplace(selectedResults, message.newValue);
-                    break;
-                case 'preview':
-                    const result = results[message.index];
-                    await previewResult(result);
-                    break;
-                case 'cancel':
-                    panel.dispose();
-                    break;
-            }
+/**
+ * Format adapters: how each supported file type is recognized, read into key path
+ * entries (the same shape readYamlKeyPaths() returns) and edited by replace
+ */
+const FORMAT_ADAPTERS = [
+    {
+        id: 'yaml',
+        label: 'YAML',
+        matches: filePath => filePath.endsWith('.yml') || filePath.endsWith('.yaml'),
+        readKeyPaths: readYamlKeyPaths,
+        buildReplacement: (content, entry, newValue, structured) => structured
+            ? buildStructuredReplacement(content, entry, newValue)
+            : buildValueReplacement(content, entry, newValue),
+        structured: true
+    },
+    {
+        id: 'properties',
+        label: 'Properties',
+        matches: filePath => filePath.endsWith('.properties'),
+        readKeyPaths: readPropertiesKeyPaths,
+        buildReplacement: (content, entry, newValue) => ({
+            start: entry.valueSpan.start,
+            end: entry.valueSpan.end,
+            text: escapePropertiesValue(newValue)
+        }),
+        structured: false
+    },
+    {
+        id: 'env',
+        label: '.env',
+        matches: filePath => {
+            const name = path.basename(filePath);
+            return name === '.env' || name.startsWith('.env.') || name.endsWith('.env');
         },
-        undefined
-    );
+        readKeyPaths: readEnvKeyPaths,
+        buildReplacement: (content, entry, newValue) => ({
+            start: entry.valueSpan.start,
+            end: entry.valueSpan.end,
+            text: formatEnvValue(newValue, entry.valueStyle)
+        }),
+        structured: false
+    },
+    {
+        id: 'json',
+        label: 'JSON',
+        matches: filePath => filePath.endsWith('.json'),
+        // JSON is valid YAML, so the YAML reader gives exact spans
+        readKeyPaths: readYamlKeyPaths,
+        buildReplacement: buildJsonReplacement,
+        structured: true
+    },
+    {
+        id: 'toml',
+        label: 'TOML',
+        matches: filePath => filePath.endsWith('.toml'),
+        readKeyPaths: readTomlKeyPaths,
+        buildReplacement: (content, entry, newValue) => entry.valueStyle === 'MAP' || entry.valueStyle === 'SEQ'
+            ? null
+            : { start: entry.valueSpan.start, end: entry.valueSpan.end, text: formatTomlValue(newValue, entry.valueStyle) },
+        structured: false
+    }
+];
+
+/**
+ * Finds the format adapter for a file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} The adapter, or null for unsupported files
+ */
+function getFormatAdapter(filePath) {
+    return FORMAT_ADAPTERS.find(adapter => adapter.matches(filePath)) || null;
 }
 
 /**
- * Generates the HTML content for the webview modal
- * @param {Array} results - Search results
- * @param {string} searchKey - The search key
- * @param {Object} valueGroups - Grouped results by value
- * @returns {string} HTML content
+ * Gets the include patterns of a format: yamlKeySearch.includePatterns for YAML,
+ * yamlKeySearch.formatPatterns for the others (an empty list turns a format off)
+ * @param {Object|null} adapter - The format adapter
+ * @returns {Array<string>} Glob patterns relative to the workspace folder
  */
-function getWebviewContent(results, searchKey, valueGroups) {
-    const resultRows = results.map((result, index) => {
-        const smartDisplayName = getSmartDisplayName(result.file, results);
-        const relativePath = result.file.split('/').slice(-3).join('/');
-        return `
-            <tr>
-                <td><input type="checkbox" checked data-index="${index}"></td>
-                <td><button class="preview-btn" data-index="${index}">👁️</button></td>
-                <td class="file-name">${smartDisplayName}</td>
-                <td class="file-path">${relativePath}</td>
-                <td class="key-path">${result.path}</td>
-                <td class="line-num">${result.line}</td>
-                <td class="current-value">${JSON.stringify(result.value)}</td>
-                <td class="match-type">${result.isExactMatch ? '✓ Exact' : '~ Partial'}</td>
-            </tr>
-        `;
-    }).join('');
+function getFormatPatterns(adapter) {
+    if (!adapter) {
+        return [];
+    }
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    if (adapter.id === 'yaml') {
+        return config.get('includePatterns', DEFAULT_INCLUDE_PATTERNS);
+    }
+    const patterns = Object.assign({}, DEFAULT_FORMAT_PATTERNS, config.get('formatPatterns', {}));
+    return patterns[adapter.id] || [];
+}
 
-    const valueSummary = Object.keys(valueGroups).map(valueKey => {
-        return `<div class="value-group">
-            <span class="value">${valueKey}</span>
-            <span class="count">${valueGroups[valueKey].length} occurrence(s)</span>
-        </div>`;
-    }).join('');
+/**
+ * Reads the key paths of any supported file, through its format adapter
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content (read from disk when omitted)
+ * @returns {Array} Array of key path entries tagged with file and documentIndex
+ */
+function readKeyPaths(filePath, content = fs.readFileSync(filePath, 'utf8')) {
+    const adapter = getFormatAdapter(filePath) || FORMAT_ADAPTERS[0];
+    return adapter.readKeyPaths(filePath, content);
+}
 
-    const defaultValue = results.length > 0 ? 
-        (typeof results[0].value === 'string' ? results[0].value : JSON.stringify(results[0].value)) : '';
+/**
+ * Builds the entry for a key of a flat format (properties, .env, TOML)
+ * @param {string} filePath - Path to the file
+ * @param {Array<string|number>} segments - Key path segments
+ * @param {string} key - The key as written
+ * @param {*} value - The parsed value
+ * @param {Object} keySpan - Span of the key
+ * @param {Object} valueSpan - Span of the value
+ * @param {string} valueStyle - How the value is written ('PLAIN', 'QUOTE_DOUBLE', ...)
+ * @returns {Object} Key path entry
+ */
+function createFlatKeyPath(filePath, segments, key, value, keySpan, valueSpan, valueStyle) {
+    const currentPath = formatKeyPath(segments);
+    const collection = valueStyle === 'MAP' ? 'map' : valueStyle === 'SEQ' ? 'seq' : null;
+    return {
+        file: filePath,
+        documentIndex: 0,
+        path: currentPath,
+        segments: segments,
+        line: keySpan.startLine,
+        column: keySpan.startColumn,
+        value: collection ? null : value,
+        collection: collection,
+        key: key,
+        fullPath: currentPath,
+        keySpan: keySpan,
+        valueSpan: valueSpan,
+        valueStyle: valueStyle,
+        inFlow: false,
+        origin: 'local',
+        anchor: null,
+        anchorPath: null
+    };
+}
 
-    return `<!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>YAML Find & Replace</title>
-        <style>
-            body {
-                font-family: var(--vscode-font-family);
-                font-size: var(--vscode-font-size);
-                color: var(--vscode-foreground);
-                background-color: var(--vscode-editor-background);
-                margin: 0;
-                padding: 20px;
+/**
+ * Splits a properties key (a.b[0].c) into key path segments
+ * @param {string} key - The unescaped key
+ * @returns {Array<string|number>} Key path segments
+ */
+function parsePropertiesKey(key) {
+    try {
+        return parseKeyPath(key);
+    } catch (error) {
+        return [key];
+    }
+}
+
+/**
+ * Unescapes a .properties key or value (\t, \n, \uXXXX, \=, line continuations)
+ * @param {string} text - The raw text
+ * @returns {string} The unescaped text
+ */
+function unescapeProperties(text) {
+    return text
+        .replace(/\\\r?\n[ \t\f]*/g, '')
+        .replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (match, escaped) => {
+            if (escaped.length === 5) {
+                return String.fromCharCode(parseInt(escaped.slice(1), 16));
             }
-            .header {
-                border-bottom: 1px solid var(--vscode-panel-border);
-                padding-bottom: 15px;
-                margin-bottom: 20px;
+            return { t: '\t', n: '\n', r: '\r', f: '\f' }[escaped] || escaped;
+        });
+}
+
+/**
+ * Escapes a value for a .properties file
+ * @param {string} value - The value
+ * @returns {string} The escaped value, kept on one line
+ */
+function escapePropertiesValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/^[ \f]/, match => `\\${match}`);
+}
+
+/**
+ * Reads a .properties file (java.util.Properties syntax) into key path entries
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {Array} Key path entries
+ */
+function readPropertiesKeyPaths(filePath, content) {
+    const lineCounter = createLineCounter(content);
+    const keyPaths = [];
+    const lineEnd = offset => {
+        const newline = content.indexOf('\n', offset);
+        const end = newline === -1 ? content.length : newline;
+        return content[end - 1] === '\r' ? end - 1 : end;
+    };
+    const nextLine = offset => {
+        const newline = content.indexOf('\n', offset);
+        return newline === -1 ? content.length : newline + 1;
+    };
+
+    let position = 0;
+    while (position < content.length) {
+        const keyStart = position + content.slice(position, lineEnd(position)).search(/\S|$/);
+        let end = lineEnd(position);
+        let next = nextLine(position);
+        if (keyStart === end || content[keyStart] === '#' || content[keyStart] === '!') {
+            position = next;
+            continue;
+        }
+
+        // An odd number of trailing backslashes continues the value on the next line
+        while (/(^|[^\\])(\\\\)*\\$/.test(content.slice(keyStart, end)) && next < content.length) {
+            end = lineEnd(next);
+            next = nextLine(next);
+        }
+
+        const logical = content.slice(keyStart, end);
+        let keyEnd = 0;
+        while (keyEnd < logical.length && !/[=:\s]/.test(logical[keyEnd])) {
+            keyEnd += logical[keyEnd] === '\\' ? 2 : 1;
+        }
+        keyEnd = Math.min(keyEnd, logical.length);
+        let valueStart = keyEnd + logical.slice(keyEnd).search(/[^ \t\f]|$/);
+        if (logical[valueStart] === '=' || logical[valueStart] === ':') {
+            valueStart++;
+            valueStart += logical.slice(valueStart).search(/[^ \t\f]|$/);
+        }
+
+        const key = unescapeProperties(logical.slice(0, keyEnd));
+        keyPaths.push(createFlatKeyPath(
+            filePath,
+            parsePropertiesKey(key),
+            key,
+            unescapeProperties(logical.slice(valueStart)),
+            getTextSpan(lineCounter, keyStart, keyStart + keyEnd),
+            getTextSpan(lineCounter, keyStart + valueStart, end),
+            'PLAIN'
+        ));
+        position = next;
+    }
+
+    return keyPaths;
+}
+
+/**
+ * Converts a dot path to the environment variable Spring binds it from
+ * @param {string} keyPath - Dot path, e.g. database.connection-pool.size
+ * @returns {string} e.g. DATABASE_CONNECTIONPOOL_SIZE
+ */
+function toEnvironmentName(keyPath) {
+    try {
+        return formatKeyPathAs(parseKeyPath(keyPath), 'env');
+    } catch (error) {
+        return keyPath.toUpperCase();
+    }
+}
+
+/**
+ * Reads a .env file into key path entries. Variables are bound to dot paths with
+ * Spring's relaxed binding: DATABASE_CONNECTION_HOST is database.connection.host.
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {Array} Key path entries (flagged `relaxed`)
+ */
+function readEnvKeyPaths(filePath, content) {
+    const lineCounter = createLineCounter(content);
+    const keyPaths = [];
+    const pattern = /^([ \t]*(?:export[ \t]+)?)([A-Za-z_][A-Za-z0-9_.-]*)[ \t]*=[ \t]*("(?:[^"\\]|\\[\s\S])*"|'[^']*'|[^\r\n]*)/gm;
+
+    for (const match of content.matchAll(pattern)) {
+        const name = match[2];
+        const keyStart = match.index + match[1].length;
+        const rawValue = match[3];
+        const valueStart = match.index + match[0].length - rawValue.length;
+
+        let value;
+        let valueStyle = 'PLAIN';
+        let valueLength = rawValue.length;
+        if (rawValue.startsWith('"')) {
+            valueStyle = 'QUOTE_DOUBLE';
+            value = rawValue.slice(1, -1).replace(/\\([\s\S])/g, (escape, char) => ({ n: '\n', r: '\r', t: '\t' }[char] || char));
+        } else if (rawValue.startsWith('\'')) {
+            valueStyle = 'QUOTE_SINGLE';
+            value = rawValue.slice(1, -1);
+        } else {
+            // Unquoted values end at a comment and lose surrounding whitespace
+            value = rawValue.replace(/(^|\s+)#.*$/, '').replace(/\s+$/, '');
+            valueLength = value.length;
+        }
+
+        const segments = name.toLowerCase().split(/[_.]+/).filter(part => part !== '')
+            .map(part => /^\d+$/.test(part) ? Number(part) : part);
+        const entry = createFlatKeyPath(
+            filePath,
+            segments,
+            name,
+            value,
+            getTextSpan(lineCounter, keyStart, keyStart + name.length),
+            getTextSpan(lineCounter, valueStart, valueStart + valueLength),
+            valueStyle
+        );
+        entry.relaxed = true;
+        keyPaths.push(entry);
+    }
+
+    return keyPaths;
+}
+
+/**
+ * Formats a value for a .env file, keeping the original quoting where possible
+ * @param {string} value - The new value
+ * @param {string} valueStyle - 'PLAIN', 'QUOTE_SINGLE' or 'QUOTE_DOUBLE'
+ * @returns {string} The value as written in the file
+ */
+function formatEnvValue(value, valueStyle) {
+    const text = String(value);
+    if (valueStyle === 'QUOTE_SINGLE' && !/['\n]/.test(text)) {
+        return `'${text}'`;
+    }
+    if (valueStyle === 'PLAIN' && /^[^\s#'"\\]*$/.test(text)) {
+        return text;
+    }
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Builds a replacement edit for a JSON value, keeping numbers, booleans and null unquoted
+ * @param {string} content - File content
+ * @param {Object} entry - Entry from readYamlKeyPaths() for the content
+ * @param {string} newValue - The replacement value (a YAML/JSON snippet when structured)
+ * @param {boolean} structured - Whether newValue is a structured value
+ * @returns {{start: number, end: number, text: string}|null} The edit, or null when the value is a collection
+ */
+function buildJsonReplacement(content, entry, newValue, structured) {
+    let text;
+    if (structured) {
+        text = JSON.stringify(parseStructuredValue(newValue));
+    } else if (entry.valueStyle === 'MAP' || entry.valueStyle === 'SEQ') {
+        return null;
+    } else if (entry.valueStyle === 'PLAIN' && /^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)$/.test(newValue)) {
+        text = newValue;
+    } else {
+        text = JSON.stringify(String(newValue));
+    }
+    return { start: entry.valueSpan.start, end: entry.valueSpan.end, text };
+}
+
+/**
+ * Skips whitespace and comments in TOML text
+ * @param {string} content - TOML text
+ * @param {number} position - Offset to start at
+ * @param {boolean} newlines - Whether newlines may be skipped too
+ * @returns {number} Offset of the next significant character
+ */
+function skipTomlWhitespace(content, position, newlines) {
+    const pattern = newlines ? /[ \t\r\n]/ : /[ \t]/;
+    while (position < content.length) {
+        if (pattern.test(content[position])) {
+            position++;
+        } else if (content[position] === '#') {
+            if (!newlines) {
+                break;
             }
-            .search-info {
-                font-size: 16px;
-                font-weight: bold;
-                color: var(--vscode-textLink-foreground);
+            const newline = content.indexOf('\n', position);
+            position = newline === -1 ? content.length : newline;
+        } else {
+            break;
+        }
+    }
+    return position;
+}
+
+/**
+ * Reads a TOML basic ("...") or literal ('...') string, single or multi-line
+ * @param {string} content - TOML text
+ * @param {number} position - Offset of the opening quote
+ * @returns {{value: string, end: number, style: string}} The string and the offset after it
+ */
+function readTomlString(content, position) {
+    const quote = content[position];
+    const multiline = content.startsWith(quote.repeat(3), position);
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    let index = position + delimiter.length;
+    let raw = '';
+
+    while (index < content.length && !content.startsWith(delimiter, index)) {
+        if (!multiline && content[index] === '\n') {
+            break;
+        }
+        if (quote === '"' && content[index] === '\\') {
+            raw += content.slice(index, index + 2);
+            index += 2;
+            continue;
+        }
+        raw += content[index++];
+    }
+    if (!content.startsWith(delimiter, index)) {
+        throw new Error(`Unterminated string at offset ${position}`);
+    }
+
+    let value = multiline ? raw.replace(/^\r?\n/, '') : raw;
+    if (quote === '"') {
+        value = value
+            .replace(/\\\r?\n\s*/g, '')
+            .replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (match, escaped) => {
+                if (escaped.length > 1) {
+                    return String.fromCodePoint(parseInt(escaped.slice(1), 16));
+                }
+                return { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b' }[escaped] || escaped;
+            });
+    }
+    return { value, end: index + delimiter.length, style: quote === '"' ? 'QUOTE_DOUBLE' : 'QUOTE_SINGLE' };
+}
+
+/**
+ * Reads a TOML key, possibly dotted (a."b.c".d)
+ * @param {string} content - TOML text
+ * @param {number} position - Offset of the key
+ * @returns {{segments: Array<string>, end: number}} Key segments and the offset after the key
+ */
+function readTomlKey(content, position) {
+    const segments = [];
+    for (;;) {
+        position = skipTomlWhitespace(content, position, false);
+        if (content[position] === '"' || content[position] === '\'') {
+            const part = readTomlString(content, position);
+            segments.push(part.value);
+            position = part.end;
+        } else {
+            const bare = /^[A-Za-z0-9_-]+/.exec(content.slice(position, position + 256));
+            if (!bare) {
+                throw new Error(`Expected a key at offset ${position}`);
             }
-            .summary {
-                margin: 15px 0;
-                padding: 10px;
-                background-color: var(--vscode-textBlockQuote-background);
-                border-left: 3px solid var(--vscode-textLink-foreground);
+            segments.push(bare[0]);
+            position += bare[0].length;
+        }
+
+        const end = position;
+        position = skipTomlWhitespace(content, position, false);
+        if (content[position] !== '.') {
+            return { segments, end };
+        }
+        position++;
+    }
+}
+
+/**
+ * Reads a TOML value. Keys of inline tables are reported through onKey so they can be
+ * searched like any other key.
+ * @param {string} content - TOML text
+ * @param {number} position - Offset of the value
+ * @param {Function} onKey - Called with (relativeSegments, keyStart, keyEnd, valueStart, parsedValue) for inline table keys
+ * @returns {{value: *, end: number, style: string}} The value, the offset after it and how it is written
+ */
+function readTomlValue(content, position, onKey) {
+    const char = content[position];
+    if (char === '"' || char === '\'') {
+        return readTomlString(content, position);
+    }
+
+    if (char === '[') {
+        const items = [];
+        position = skipTomlWhitespace(content, position + 1, true);
+        while (content[position] !== ']') {
+            const index = items.length;
+            const item = readTomlValue(content, position, (segments, ...rest) => onKey([index].concat(segments), ...rest));
+            items.push(item.value);
+            position = skipTomlWhitespace(content, item.end, true);
+            if (content[position] === ',') {
+                position = skipTomlWhitespace(content, position + 1, true);
+            } else if (content[position] !== ']') {
+                throw new Error(`Expected , or ] at offset ${position}`);
             }
-            .value-group {
-                display: flex;
-                justify-content: space-between;
-                margin: 5px 0;
+        }
+        return { value: items, end: position + 1, style: 'SEQ' };
+    }
+
+    if (char === '{') {
+        const table = {};
+        position = skipTomlWhitespace(content, position + 1, false);
+        while (content[position] !== '}') {
+            const keyStart = position;
+            const key = readTomlKey(content, position);
+            position = skipTomlWhitespace(content, key.end, false);
+            if (content[position] !== '=') {
+                throw new Error(`Expected = at offset ${position}`);
             }
-            .value {
-                font-family: var(--vscode-editor-font-family);
-                background-color: var(--vscode-textPreformat-background);
-                padding: 2px 6px;
-                border-radius: 3px;
+            const valueStart = skipTomlWhitespace(content, position + 1, false);
+            const item = readTomlValue(content, valueStart, (segments, ...rest) => onKey(key.segments.concat(segments), ...rest));
+            onKey(key.segments, keyStart, key.end, valueStart, item);
+            setNestedValue(table, key.segments, item.value);
+            position = skipTomlWhitespace(content, item.end, false);
+            if (content[position] === ',') {
+                position = skipTomlWhitespace(content, position + 1, false);
+            } else if (content[position] !== '}') {
+                throw new Error(`Expected , or } at offset ${position}`);
             }
-            .count {
-                color: var(--vscode-descriptionForeground);
+        }
+        return { value: table, end: position + 1, style: 'MAP' };
+    }
+
+    const token = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?|[^\s,\]}#]+)/
+        .exec(content.slice(position, position + 256));
+    if (!token) {
+        throw new Error(`Expected a value at offset ${position}`);
+    }
+    const text = token[0];
+    let value;
+    if (text === 'true' || text === 'false') {
+        value = text === 'true';
+    } else if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}:\d{2}/.test(text)) {
+        value = text;
+    } else if (/^[+-]?(inf|nan)$/.test(text)) {
+        value = text.endsWith('inf') ? (text.startsWith('-') ? -Infinity : Infinity) : NaN;
+    } else if (/^0[xob]/.test(text)) {
+        value = parseInt(text.slice(2).replace(/_/g, ''), { x: 16, o: 8, b: 2 }[text[1]]);
+    } else {
+        value = Number(text.replace(/_/g, ''));
+        if (Number.isNaN(value)) {
+            throw new Error(`Invalid value ${text} at offset ${position}`);
+        }
+    }
+    return { value, end: position + text.length, style: 'PLAIN' };
+}
+
+/**
+ * Sets a value at a nested path in a plain object, creating objects on the way
+ * @param {Object} target - The object
+ * @param {Array<string>} segments - Path of the value
+ * @param {*} value - The value
+ */
+function setNestedValue(target, segments, value) {
+    segments.slice(0, -1).forEach(segment => {
+        if (typeof target[segment] !== 'object' || target[segment] === null) {
+            target[segment] = {};
+        }
+        target = target[segment];
+    });
+    target[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Reads a TOML file into key path entries: `[table]` and `[[array]]` headers prefix the
+ * keys below them, and keys of inline tables are listed too
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {Array} Key path entries (empty when the file cannot be parsed)
+ */
+function readTomlKeyPaths(filePath, content) {
+    const lineCounter = createLineCounter(content);
+    const keyPaths = [];
+    const arrayTables = new Map(); // path of an [[array]] table -> items so far
+    let table = [];
+
+    // Header paths pass through the latest item of any array of tables they are under
+    const resolveHeader = segments => {
+        const resolved = [];
+        segments.forEach((segment, index) => {
+            resolved.push(segment);
+            const count = arrayTables.get(formatKeyPath(resolved));
+            if (count && index < segments.length - 1) {
+                resolved.push(count - 1);
             }
-            .replace-section {
-                margin: 20px 0;
-                padding: 15px;
-                border: 1px solid var(--vscode-panel-border);
-                border-radius: 5px;
+        });
+        return resolved;
+    };
+    const addEntry = (segments, keyStart, keyEnd, valueStart, parsed) => {
+        const last = segments[segments.length - 1];
+        keyPaths.push(createFlatKeyPath(
+            filePath,
+            segments,
+            String(last),
+            parsed.value,
+            getTextSpan(lineCounter, keyStart, keyEnd),
+            getTextSpan(lineCounter, valueStart, parsed.end),
+            parsed.style
+        ));
+    };
+
+    try {
+        let position = skipTomlWhitespace(content, 0, true);
+        while (position < content.length) {
+            if (content[position] === '[') {
+                const isArray = content[position + 1] === '[';
+                const header = readTomlKey(content, position + (isArray ? 2 : 1));
+                const close = skipTomlWhitespace(content, header.end, false);
+                if (!content.startsWith(isArray ? ']]' : ']', close)) {
+                    throw new Error(`Unclosed table header at offset ${position}`);
+                }
+                table = resolveHeader(header.segments);
+                if (isArray) {
+                    const count = arrayTables.get(formatKeyPath(table)) || 0;
+                    arrayTables.set(formatKeyPath(table), count + 1);
+                    table = table.concat(count);
+                }
+                position = skipTomlWhitespace(content, close + (isArray ? 2 : 1), true);
+                continue;
             }
-            .input-group {
-                display: flex;
-                align-items: center;
-                gap: 10px;
-                margin-bottom: 15px;
+
+            const keyStart = position;
+            const key = readTomlKey(content, position);
+            position = skipTomlWhitespace(content, key.end, false);
+            if (content[position] !== '=') {
+                throw new Error(`Expected = at offset ${position}`);
             }
-            .input-group label {
-                min-width: 100px;
-                font-weight: bold;
+            const valueStart = skipTomlWhitespace(content, position + 1, false);
+            const segments = table.concat(key.segments);
+            const parsed = readTomlValue(content, valueStart, (relative, ...rest) => addEntry(segments.concat(relative), ...rest));
+            addEntry(segments, keyStart, key.end, valueStart, parsed);
+            position = skipTomlWhitespace(content, parsed.end, true);
+        }
+    } catch (error) {
+        console.warn(`Failed to parse TOML file ${filePath}:`, error.message);
+        return [];
+    }
+
+    // Inline table keys are reported before the key holding them; keep file order
+    return keyPaths.sort((a, b) => a.keySpan.start - b.keySpan.start);
+}
+
+/**
+ * Formats a value for a TOML file: numbers, booleans and dates stay bare when the
+ * original was bare, strings keep literal quoting when they can
+ * @param {string} value - The new value
+ * @param {string} valueStyle - 'PLAIN', 'QUOTE_SINGLE' or 'QUOTE_DOUBLE'
+ * @returns {string} The value as written in the file
+ */
+function formatTomlValue(value, valueStyle) {
+    const text = String(value);
+    if (valueStyle === 'PLAIN' &&
+        /^(true|false|[+-]?(inf|nan)|[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d+)?|0[xob][0-9a-fA-F_]+|\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?)?)$/.test(text)) {
+        return text;
+    }
+    if (valueStyle === 'QUOTE_SINGLE' && !/['\n\r]/.test(text)) {
+        return `'${text}'`;
+    }
+    return JSON.stringify(text);
+}
+
+/**
+ * (Re)indexes a single file, reusing a cached entry when the file is unchanged
+ * @param {string} filePath - Path to the YAML file
+ * @param {Object} cached - Previously indexed entry ({mtimeMs, size, keyPaths}), if any
+ * @returns {Promise<Object|null>} The index entry, or null if the file is gone
+ */
+async function indexYamlFile(filePath, cached = keyIndex.files.get(filePath)) {
+    try {
+        const stats = await fs.promises.stat(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            setIndexedFile(filePath, cached);
+            return cached;
+        }
+
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const entry = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            keyPaths: readKeyPaths(filePath, content)
+        };
+        setIndexedFile(filePath, entry);
+        scheduleIndexCacheSave();
+        return entry;
+    } catch (error) {
+        removeIndexedFile(filePath);
+        return null;
+    }
+}
+
+/**
+ * Stores a file's index entry and files its key paths under keyIndex.byPath
+ * @param {string} filePath - Path to the file
+ * @param {Object} entry - Index entry ({mtimeMs, size, keyPaths})
+ */
+function setIndexedFile(filePath, entry) {
+    if (keyIndex.files.get(filePath) === entry) {
+        return;
+    }
+    forgetIndexedPaths(filePath);
+    keyIndex.files.set(filePath, entry);
+    entry.keyPaths.forEach(keyPath => {
+        const entries = keyIndex.byPath.get(keyPath.path);
+        if (entries) {
+            entries.push(keyPath);
+        } else {
+            keyIndex.byPath.set(keyPath.path, [keyPath]);
+        }
+    });
+}
+
+/**
+ * Takes a file's key paths out of keyIndex.byPath
+ * @param {string} filePath - Path to the file
+ */
+function forgetIndexedPaths(filePath) {
+    const previous = keyIndex.files.get(filePath);
+    if (!previous) {
+        return;
+    }
+    previous.keyPaths.forEach(keyPath => {
+        const entries = keyIndex.byPath.get(keyPath.path);
+        const remaining = entries ? entries.filter(entry => entry.file !== filePath) : [];
+        if (remaining.length > 0) {
+            keyIndex.byPath.set(keyPath.path, remaining);
+        } else {
+            keyIndex.byPath.delete(keyPath.path);
+        }
+    });
+}
+
+/**
+ * Drops a file from the key index
+ * @param {string} filePath - Path to the YAML file
+ */
+function removeIndexedFile(filePath) {
+    forgetIndexedPaths(filePath);
+    if (keyIndex.files.delete(filePath)) {
+        scheduleIndexCacheSave();
+    }
+}
+
+/**
+ * Builds the key index for every YAML file in the workspace
+ * @returns {Promise<void>} Resolves once every file is indexed
+ */
+function buildKeyIndex() {
+    // A superseded build hands over to the newer one, so whoever awaits it gets a full index
+    const generation = ++keyIndex.generation;
+    const isSuperseded = () => generation !== keyIndex.generation;
+
+    keyIndex.ready = (async () => {
+        const cached = loadIndexCache();
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
+        const seen = new Set();
+
+        for (const folder of workspaceFolders) {
+            try {
+                const configFiles = await findConfigFiles(folder.uri.fsPath);
+                console.log(`Indexing ${configFiles.length} configuration files in ${folder.uri.fsPath}`);
+
+                for (const filePath of configFiles) {
+                    if (isSuperseded()) {
+                        return keyIndex.ready;
+                    }
+                    seen.add(filePath);
+                    await indexYamlFile(filePath, cached.get(filePath) || keyIndex.files.get(filePath));
+                }
+            } catch (folderError) {
+                console.warn(`Error indexing folder ${folder.uri.fsPath}:`, folderError.message);
             }
-            .input-group input {
-                flex: 1;
-                padding: 6px 10px;
-                background-color: var(--vscode-input-background);
-                color: var(--vscode-input-foreground);
-                border: 1px solid var(--vscode-input-border);
-                border-radius: 3px;
+        }
+
+        // Only the latest build knows which files are still wanted
+        if (isSuperseded()) {
+            return keyIndex.ready;
+        }
+
+        // Forget files that disappeared or are now excluded
+        Array.from(keyIndex.files.keys())
+            .filter(filePath => !seen.has(filePath))
+            .forEach(removeIndexedFile);
+
+        scheduleIndexCacheSave();
+    })();
+
+    return keyIndex.ready;
+}
+
+/**
+ * Waits for the key index, building it on first use
+ * @returns {Promise<void>} Resolves once the index is ready
+ */
+function ensureKeyIndex() {
+    return keyIndex.ready || buildKeyIndex();
+}
+
+/**
+ * Lists every indexed file, or only those of one format
+ * @param {string} format - Format adapter id (e.g. 'yaml'); every format when omitted
+ * @returns {Array<string>} Indexed file paths
+ */
+function getIndexedFiles(format) {
+    const files = Array.from(keyIndex.files.keys());
+    return format ? files.filter(filePath => (getFormatAdapter(filePath) || {}).id === format) : files;
+}
+
+/**
+ * Gets the key paths of a file from the index (or from its unsaved editor content),
+ * indexing it synchronously if needed
+ * @param {string} filePath - Path to the YAML file
+ * @returns {Array} Key path entries
+ */
+function getIndexedKeyPaths(filePath) {
+    // Unsaved editor changes take precedence over what is on disk
+    const document = findOpenDocument(filePath);
+    if (document && document.isDirty) {
+        const cachedDocument = keyIndex.documents.get(filePath);
+        if (cachedDocument && cachedDocument.version === document.version) {
+            return cachedDocument.keyPaths;
+        }
+        const keyPaths = readKeyPaths(filePath, document.getText());
+        keyIndex.documents.set(filePath, { version: document.version, keyPaths });
+        return keyPaths;
+    }
+
+    const entry = keyIndex.files.get(filePath);
+    if (entry) {
+        return entry.keyPaths;
+    }
+
+    const stats = fs.statSync(filePath);
+    const keyPaths = readKeyPaths(filePath);
+    if (isIndexableFile(filePath)) {
+        setIndexedFile(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, keyPaths });
+        scheduleIndexCacheSave();
+    }
+    return keyPaths;
+}
+
+/**
+ * Loads the on-disk index cache, if enabled and compatible
+ * @returns {Map} filePath -> cached index entry
+ */
+function loadIndexCache() {
+    const cached = new Map();
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    if (!keyIndex.cachePath || !config.get('indexCache', true)) {
+        return cached;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(keyIndex.cachePath, 'utf8'));
+        if (data.version === INDEX_CACHE_VERSION && data.files) {
+            Object.keys(data.files).forEach(filePath => cached.set(filePath, data.files[filePath]));
+        }
+    } catch (error) {
+        // No cache yet, or an unreadable one: it will be rebuilt from the files
+    }
+
+    return cached;
+}
+
+/**
+ * Writes the index to the on-disk cache shortly after the last change
+ */
+function scheduleIndexCacheSave() {
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    if (!keyIndex.cachePath || !config.get('indexCache', true)) {
+        return;
+    }
+
+    clearTimeout(keyIndex.saveTimer);
+    keyIndex.saveTimer = setTimeout(() => {
+        try {
+            const files = {};
+            keyIndex.files.forEach((entry, filePath) => {
+                files[filePath] = entry;
+            });
+            fs.mkdirSync(path.dirname(keyIndex.cachePath), { recursive: true });
+            fs.writeFileSync(keyIndex.cachePath, JSON.stringify({ version: INDEX_CACHE_VERSION, files }), 'utf8');
+        } catch (error) {
+            console.warn('Could not write YAML key index cache:', error.message);
+        }
+    }, 2000);
+}
+
+/**
+ * Sets up the key index: builds it and keeps it current with file system watchers
+ * @param {vscode.ExtensionContext} context
+ */
+function registerKeyIndex(context) {
+    if (context.storageUri) {
+        keyIndex.cachePath = path.join(context.storageUri.fsPath, 'key-index.json');
+    }
+
+    const onFileChanged = uri => {
+        if (isIndexableFile(uri.fsPath)) {
+            indexYamlFile(uri.fsPath);
+        }
+    };
+
+    const watcher = vscode.workspace.createFileSystemWatcher('**/{*.yml,*.yaml,*.properties,*.json,*.toml,*.env,.env,.env.*}');
+    watcher.onDidCreate(onFileChanged);
+    watcher.onDidChange(onFileChanged);
+    watcher.onDidDelete(uri => removeIndexedFile(uri.fsPath));
+
+    context.subscriptions.push(
+        watcher,
+        vscode.workspace.onDidCloseTextDocument(document => keyIndex.documents.delete(document.uri.fsPath)),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => buildKeyIndex()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yamlKeySearch.includePatterns') ||
+                event.affectsConfiguration('yamlKeySearch.formatPatterns') ||
+                event.affectsConfiguration('yamlKeySearch.excludePatterns')) {
+                buildKeyIndex();
             }
-            .results-table {
-                width: 100%;
-                border-collapse: collapse;
-                margin: 20px 0;
-                font-size: 12px;
+        }),
+        {
+            dispose: () => clearTimeout(keyIndex.saveTimer)
+        }
+    );
+
+    buildKeyIndex();
+}
+
+/**
+ * Searches for a specific key path in a YAML file
+ * @param {string} filePath - Path to the YAML file
+ * @param {string} searchKey - The dot-notation key or path query to search for
+ * @returns {Promise<Array>} Array of matches
+ */
+async function searchKeyInFile(filePath, searchKey) {
+    try {
+        const { query: keyQuery, filters } = parseDocumentFilters(searchKey);
+        // A filter on its own ("kind=Deployment") lists every key of the matching documents
+        const query = compilePathQuery(keyQuery || '**');
+        let matches = [];
+
+        // Find exact matches and partial matches
+        getIndexedKeyPaths(filePath).forEach(keyPath => {
+            if (!matchesDocumentFilters(keyPath, filters)) {
+                return;
             }
-            .results-table th, .results-table td {
-                padding: 8px 12px;
-                text-align: left;
-                border-bottom: 1px solid var(--vscode-panel-border);
+            const match = matchKeyPath(query, keyPath);
+            if (match) {
+                matches.push(Object.assign({}, keyPath, { isExactMatch: match.isExactMatch }));
             }
-            .results-table th {
-                background-color: var(--vscode-editor-lineHighlightBackground);
-                font-weight: bold;
-                position: sticky;
-                top: 0;
+        });
+
+        return matches;
+    } catch (error) {
+        console.error(`Error reading file ${filePath}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Compiles a value search into a value query.
+ *
+ * Supported forms:
+ *   - `localhost` matches the literal value (exact), or values containing it (partial)
+ *   - `/^https?:\/\/old\./i` matches values against a regular expression
+ *   - `type:number`, `type:bool`, `type:null`, `type:string` match values by type
+ * @param {string} searchValue - The search input
+ * @returns {Object} Compiled value query
+ */
+function compileValueQuery(searchValue) {
+    const text = searchValue.trim();
+
+    const typeMatch = text.match(/^type:\s*(number|bool|boolean|null|string)$/i);
+    if (typeMatch) {
+        const type = typeMatch[1].toLowerCase();
+        return { mode: 'type', text, type: type === 'boolean' ? 'bool' : type };
+    }
+
+    const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        return { mode: 'regex', text, regex: new RegExp(regexMatch[1], regexMatch[2]) };
+    }
+
+    // Selected values often carry their YAML quotes, which are not part of the value
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    return { mode: 'literal', text: quoted ? quoted[2] : text };
+}
+
+/**
+ * Matches an extracted key path's scalar value against a compiled value query
+ * @param {Object} query - Query from compileValueQuery()
+ * @param {Object} keyPath - Entry from extractKeyPaths()
+ * @returns {Object|null} {isExactMatch} when the value matches, otherwise null
+ */
+function matchValue(query, keyPath) {
+    if (keyPath.collection) {
+        return null; // Only scalar values can match
+    }
+    const value = keyPath.value;
+
+    if (query.mode === 'type') {
+        const valueType = value === null ? 'null' : typeof value === 'boolean' ? 'bool' : typeof value;
+        return valueType === query.type ? { isExactMatch: true } : null;
+    }
+
+    const valueText = String(value);
+
+    if (query.mode === 'regex') {
+        query.regex.lastIndex = 0;
+        const match = query.regex.exec(valueText);
+        if (!match) {
+            return null;
+        }
+        return { isExactMatch: match.index === 0 && match[0].length === valueText.length };
+    }
+
+    if (valueText === query.text) {
+        return { isExactMatch: true };
+    }
+    return valueText.includes(query.text) ? { isExactMatch: false } : null;
+}
+
+/**
+ * Searches for keys holding a specific value in a YAML file
+ * @param {string} filePath - Path to the YAML file
+ * @param {string} searchValue - The literal, /regex/ or type:... value query
+ * @returns {Promise<Array>} Array of matches
+ */
+async function searchValueInFile(filePath, searchValue) {
+    try {
+        const { query: valueQuery, filters } = parseDocumentFilters(searchValue);
+        const query = compileValueQuery(valueQuery);
+        let matches = [];
+
+        getIndexedKeyPaths(filePath).forEach(keyPath => {
+            if (!matchesDocumentFilters(keyPath, filters)) {
+                return;
             }
-            .results-table tr:hover {
-                background-color: var(--vscode-list-hoverBackground);
+            const match = matchValue(query, keyPath);
+            if (match) {
+                matches.push(Object.assign({}, keyPath, { isExactMatch: match.isExactMatch }));
             }
-            .file-name {
-                font-weight: bold;
-                color: var(--vscode-textLink-foreground);
+        });
+
+        return matches;
+    } catch (error) {
+        console.error(`Error reading file ${filePath}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Shows search results in a Quick Pick
+ * @param {Array} results - Array of search results
+ * @param {string} searchKey - The searched key
+ * @param {boolean} isReplace - Whether this is for replace functionality
+ * @param {string} subject - What was searched for ('key' or 'value')
+ */
+function showSearchResults(results, searchKey, isReplace = false, subject = 'key') {
+    showResultsInView(results, searchKey, subject);
+
+    if (results.length === 0) {
+        vscode.window.showInformationMessage(`No matches found for ${subject}: ${searchKey}`);
+        return;
+    }
+
+    const items = results.map(result => {
+        const effectiveValue = getEffectiveValue(result);
+        const current = JSON.stringify(getKeyPathValue(result));
+        const value = effectiveValue === null ? current : `${current} → ${JSON.stringify(effectiveValue)}`;
+        const origin = describeValueOrigin(result);
+        const documentName = describeDocument(result);
+        return {
+            label: `$(file) ${getSmartDisplayName(result.file, results)}`,
+            description: result.relaxed ? `${result.key} (${result.path})` : result.path,
+            detail: `${documentName ? `[${documentName}] ` : ''}Line ${result.line}: ${value} ${result.isExactMatch ? '(Exact Match)' : '(Partial Match)'}${origin ? ` · ${origin}` : ''}`,
+            result: result
+        };
+    });
+
+    if (isReplace) {
+        // Show replace options instead of just navigation
+        showReplaceOptions(results, searchKey);
+    } else {
+        vscode.window.showQuickPick(items, {
+            placeHolder: `Found ${results.length} matches for "${searchKey}"`,
+            matchOnDescription: true
+        }).then(selection => {
+            if (selection) {
+                // Open the file and go to the line
+                vscode.workspace.openTextDocument(selection.result.file).then(doc => {
+                    vscode.window.showTextDocument(doc).then(editor => {
+                        const position = new vscode.Position(selection.result.line - 1, selection.result.column - 1);
+                        editor.selection = new vscode.Selection(position, position);
+                        editor.revealRange(new vscode.Range(position, position));
+                    });
+                });
             }
-            .file-path {
-                color: var(--vscode-descriptionForeground);
-                font-size: 11px;
+        });
+    }
+}
+
+/**
+ * Shows replace options using a webview modal
+ * @param {Array} results - Array of search results
+ * @param {string} searchKey - The searched key
+ */
+async function showReplaceOptions(results, searchKey) {
+    const panel = vscode.window.createWebviewPanel(
+        'yamlReplaceModal',
+        'YAML Find & Replace',
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+
+    // Group results by value for better display
+    const valueGroups = {};
+    results.forEach(result => {
+        const valueKey = JSON.stringify(getKeyPathValue(result));
+        if (!valueGroups[valueKey]) {
+            valueGroups[valueKey] = [];
+        }
+        valueGroups[valueKey].push(result);
+    });
+
+    // Set the webview content
+    panel.webview.html = getWebviewContent(results, searchKey, valueGroups);
+
+    // Handle messages from the webview
+    panel.webview.onDidReceiveMessage(
+        async message => {
+            if (message.command === 'previewValues') {
+                panel.webview.postMessage({ command: 'previewValues', values: previewReplacementValues(results, message) });
+                return;
             }
-            .key-path {
-                font-family: var(--vscode-editor-font-family);
-                color: var(--vscode-symbolIcon-keywordForeground);
+
+            let newValue;
+            let targets = results;
+            const structured = message.mode === 'structured';
+            if (['replaceAll', 'reviewEach', 'replaceSelected'].includes(message.command)) {
+                // Keep the panel open so an invalid snippet or transform can be fixed
+                try {
+                    if (structured) {
+                        parseStructuredValue(message.newValue);
+                    }
+                    newValue = compileValueTransform(message);
+                } catch (error) {
+                    panel.webview.postMessage({ command: 'invalidValue', error: error.message });
+                    return;
+                }
+
+                if (message.command === 'replaceSelected') {
+                    targets = results.filter((_, index) => message.selectedIndices.includes(index));
+                }
+                if (typeof newValue === 'function') {
+                    const applicable = targets.filter(result => !previewReplacementValue(result, newValue, structured).error);
+                    if (applicable.length < targets.length) {
+                        vscode.window.showWarningMessage(`Skipped ${targets.length - applicable.length} matches the transform does not apply to.`);
+                    }
+                    targets = applicable;
+                }
+
+                targets = await chooseInheritedReplacement(targets);
+                if (!targets) {
+                    return;
+                }
             }
-            .current-value {
-                font-family: var(--vscode-editor-font-family);
-                background-color: var(--vscode-textPreformat-background);
-                padding: 2px 4px;
-                border-radius: 2px;
+
+            switch (message.command) {
+                case 'replaceAll':
+                    panel.dispose();
+                    await performBatchReplace(targets, newValue, structured);
+                    break;
+                case 'reviewEach':
+                    panel.dispose();
+                    await performReviewReplace(targets, newValue, structured);
+                    break;
+                case 'replaceSelected':
+                    panel.dispose();
+                    await performBatchReplace(targets, newValue, structured);
+                    break;
+                case 'preview':
+                    const result = results[message.index];
+                    await previewResult(result);
+                    break;
+                case 'openAnchor':
+                    const anchor = results[message.index].anchor;
+                    await previewResult(Object.assign({}, results[message.index], { line: anchor.line, column: anchor.column }));
+                    break;
+                case 'cancel':
+                    panel.dispose();
+                    break;
             }
-            .line-num {
-                color: var(--vscode-editorLineNumber-foreground);
-                text-align: center;
+        },
+        undefined
+    );
+}
+
+/**
+ * Reads a match's current value as text for value transforms
+ * @param {Object} result - The search result
+ * @returns {string} The scalar value as text ('' for null)
+ * @throws {Error} When the value is a mapping or sequence
+ */
+function getTransformSource(result) {
+    if (result.collection) {
+        throw new Error(`holds a ${result.collection === 'seq' ? 'sequence' : 'mapping'}`);
+    }
+    return result.value === null ? '' : String(result.value);
+}
+
+/**
+ * Expands a replacement template for a match. Unknown `${...}` placeholders (such as
+ * Spring property references) are kept as written.
+ * @param {string} template - Template such as `${old}-v2` or `${dirname}`
+ * @param {Object} result - The search result
+ * @returns {string} The expanded value
+ */
+function expandValueTemplate(template, result) {
+    const variables = {
+        old: () => getTransformSource(result),
+        key: () => result.key,
+        path: () => result.path,
+        file: () => path.basename(result.file),
+        basename: () => path.basename(result.file, path.extname(result.file)),
+        dirname: () => path.basename(path.dirname(result.file))
+    };
+    const lists = {
+        segment: () => vscode.workspace.asRelativePath(result.file, false).split(/[\\/]/),
+        keySegment: () => result.segments.map(String)
+    };
+
+    return template.replace(/\$\{(\w+)(?:\[(-?\d+)\])?\}/g, (placeholder, name, index) => {
+        if (index === undefined) {
+            return variables[name] ? variables[name]() : placeholder;
+        }
+        if (!lists[name]) {
+            return placeholder;
+        }
+        const list = lists[name]();
+        const position = Number(index) < 0 ? list.length + Number(index) : Number(index);
+        if (list[position] === undefined) {
+            throw new Error(`${placeholder} is out of range`);
+        }
+        return list[position];
+    });
+}
+
+/**
+ * Compiles the replace mode chosen in the webview into the value to write
+ * @param {Object} options - {mode, newValue, find} as sent by the webview; mode is
+ *   'literal', 'structured', 'regex', 'arithmetic' or 'template'
+ * @returns {string|Function} The new value, or a function computing it for each match
+ * @throws {Error} When the pattern or arithmetic expression is invalid
+ */
+function compileValueTransform(options) {
+    switch (options.mode) {
+        case 'regex': {
+            if (!options.find) {
+                throw new Error('Enter a pattern to find');
             }
-            .match-type {
-                text-align: center;
-                font-size: 11px;
+            const regexMatch = options.find.match(/^\/(.+)\/([a-z]*)$/);
+            let regex;
+            try {
+                // Like value search, only /.../ is a regular expression; anything else is found literally
+                regex = regexMatch
+                    ? new RegExp(regexMatch[1], regexMatch[2].replace('g', '') + 'g')
+                    : new RegExp(escapeRegExp(options.find), 'g');
+            } catch (error) {
+                throw new Error(`Invalid regex: ${error.message}`);
             }
-            .preview-btn {
-                background: none;
-                border: none;
-                cursor: pointer;
-                font-size: 14px;
+            return result => getTransformSource(result).replace(regex, options.newValue);
+        }
+        case 'arithmetic': {
+            const expression = options.newValue.trim().match(/^([*/+-])\s*(-?\d+(?:\.\d+)?)$/);
+            if (!expression) {
+                throw new Error('Enter an operation such as *2, +10, -1 or /4');
+            }
+            const operator = expression[1];
+            const operand = Number(expression[2]);
+            if (operator === '/' && operand === 0) {
+                throw new Error('Cannot divide by zero');
+            }
+            return result => {
+                const source = getTransformSource(result);
+                const number = Number(source);
+                if (source.trim() === '' || !Number.isFinite(number)) {
+                    throw new Error(`${JSON.stringify(source)} is not a number`);
+                }
+                const computed = operator === '*' ? number * operand
+                    : operator === '/' ? number / operand
+                    : operator === '+' ? number + operand
+                    : number - operand;
+                // Drop floating point noise such as 0.30000000000000004
+                return String(Number(computed.toPrecision(12)));
+            };
+        }
+        case 'template':
+            return result => expandValueTemplate(options.newValue, result);
+        default:
+            return options.newValue;
+    }
+}
+
+/**
+ * Computes what a single match would be replaced with
+ * @param {Object} result - The search result
+ * @param {string|Function} newValue - Value from compileValueTransform()
+ * @param {boolean} structured - Whether newValue is a YAML snippet
+ * @returns {{value: string}|{error: string}} The new value, or why the match would be skipped
+ */
+function previewReplacementValue(result, newValue, structured) {
+    try {
+        const adapter = getFormatAdapter(result.file);
+        if (structured && adapter && !adapter.structured) {
+            throw new Error(`Structured values cannot be written to ${adapter.label} files`);
+        }
+        if (!structured && result.collection) {
+            getTransformSource(result);
+        }
+        return { value: typeof newValue === 'function' ? newValue(result) : newValue };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Computes the new value of every match for the webview's per-row preview
+ * @param {Array} results - Search results shown in the webview
+ * @param {Object} options - {mode, newValue, find} as sent by the webview
+ * @returns {Array<{value: string}|{error: string}>} One entry per result
+ */
+function previewReplacementValues(results, options) {
+    let newValue;
+    try {
+        if (options.mode === 'structured') {
+            parseStructuredValue(options.newValue);
+        }
+        newValue = compileValueTransform(options);
+    } catch (error) {
+        return results.map(() => ({ error: error.message }));
+    }
+    return results.map(result => previewReplacementValue(result, newValue, options.mode === 'structured'));
+}
+
+/**
+ * Shared stylesheet for the extension's webviews (VS Code theme variables)
+ * @returns {string} CSS rules
+ */
+function getWebviewStyles() {
+    return `
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                margin: 0;
+                padding: 20px;
+            }
+            .header {
+                border-bottom: 1px solid var(--vscode-panel-border);
+                padding-bottom: 15px;
+                margin-bottom: 20px;
+            }
+            .search-info {
+                font-size: 16px;
+                font-weight: bold;
                 color: var(--vscode-textLink-foreground);
             }
-            .preview-btn:hover {
-                background-color: var(--vscode-button-hoverBackground);
+            .summary {
+                margin: 15px 0;
+                padding: 10px;
+                background-color: var(--vscode-textBlockQuote-background);
+                border-left: 3px solid var(--vscode-textLink-foreground);
+            }
+            .value-group {
+                display: flex;
+                justify-content: space-between;
+                margin: 5px 0;
+            }
+            .value {
+                font-family: var(--vscode-editor-font-family);
+                background-color: var(--vscode-textPreformat-background);
+                padding: 2px 6px;
                 border-radius: 3px;
             }
-            .actions {
+            .count {
+                color: var(--vscode-descriptionForeground);
+            }
+            .replace-section {
+                margin: 20px 0;
+                padding: 15px;
+                border: 1px solid var(--vscode-panel-border);
+                border-radius: 5px;
+            }
+            .input-group {
                 display: flex;
+                align-items: center;
                 gap: 10px;
-                margin-top: 20px;
-                padding-top: 15px;
-                border-top: 1px solid var(--vscode-panel-border);
+                margin-bottom: 15px;
             }
-            .btn {
-                padding: 8px 16px;
-                border: 1px solid var(--vscode-button-border);
+            .input-group label {
+                min-width: 100px;
+                font-weight: bold;
+            }
+            .input-group input,
+            .input-group select,
+            .input-group textarea {
+                flex: 1;
+                padding: 6px 10px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
                 border-radius: 3px;
-                cursor: pointer;
-                font-size: 13px;
-                transition: background-color 0.2s;
             }
-            .btn-primary {
-                background-color: var(--vscode-button-background);
-                color: var(--vscode-button-foreground);
+            .input-group textarea {
+                min-height: 100px;
+                font-family: var(--vscode-editor-font-family);
+                resize: vertical;
             }
-            .btn-primary:hover {
+            .mode-help {
+                margin-bottom: 10px;
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+            .effective-value {
+                color: var(--vscode-descriptionForeground);
+            }
+            .value-origin {
+                color: var(--vscode-descriptionForeground);
+                font-size: 11px;
+            }
+            .new-value {
+                font-family: monospace;
+                white-space: pre;
+            }
+            .new-value.error {
+                color: var(--vscode-errorForeground);
+                font-family: inherit;
+            }
+            .value-error {
+                color: var(--vscode-errorForeground);
+                font-size: 12px;
+                margin-bottom: 10px;
+            }
+            .results-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 20px 0;
+                font-size: 12px;
+            }
+            .results-table th, .results-table td {
+                padding: 8px 12px;
+                text-align: left;
+                border-bottom: 1px solid var(--vscode-panel-border);
+            }
+            .results-table th {
+                background-color: var(--vscode-editor-lineHighlightBackground);
+                font-weight: bold;
+                position: sticky;
+                top: 0;
+            }
+            .results-table tr:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+            .file-name {
+                font-weight: bold;
+                color: var(--vscode-textLink-foreground);
+            }
+            .file-path {
+                color: var(--vscode-descriptionForeground);
+                font-size: 11px;
+            }
+            .key-path {
+                font-family: var(--vscode-editor-font-family);
+                color: var(--vscode-symbolIcon-keywordForeground);
+            }
+            .current-value {
+                font-family: var(--vscode-editor-font-family);
+                background-color: var(--vscode-textPreformat-background);
+                padding: 2px 4px;
+                border-radius: 2px;
+            }
+            .line-num {
+                color: var(--vscode-editorLineNumber-foreground);
+                text-align: center;
+            }
+            .document {
+                color: var(--vscode-descriptionForeground);
+                font-size: 11px;
+                white-space: nowrap;
+            }
+            .match-type {
+                text-align: center;
+                font-size: 11px;
+            }
+            .preview-btn {
+                background: none;
+                border: none;
+                cursor: pointer;
+                font-size: 14px;
+                color: var(--vscode-textLink-foreground);
+            }
+            .preview-btn:hover {
+                background-color: var(--vscode-button-hoverBackground);
+                border-radius: 3px;
+            }
+            .actions {
+                display: flex;
+                gap: 10px;
+                margin-top: 20px;
+                padding-top: 15px;
+                border-top: 1px solid var(--vscode-panel-border);
+            }
+            .btn {
+                padding: 8px 16px;
+                border: 1px solid var(--vscode-button-border);
+                border-radius: 3px;
+                cursor: pointer;
+                font-size: 13px;
+                transition: background-color 0.2s;
+            }
+            .btn-primary {
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+            }
+            .btn-primary:hover {
                 background-color: var(--vscode-button-hoverBackground);
             }
             .btn-secondary {
                 background-color: var(--vscode-button-secondaryBackground);
                 color: var(--vscode-button-secondaryForeground);
             }
-            .btn-secondary:hover {
-                background-color: var(--vscode-button-secondaryHoverBackground);
+            .btn-secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+            .selection-info {
+                margin: 10px 0;
+                padding: 8px;
+                background-color: var(--vscode-editorInfo-background);
+                border-radius: 3px;
+                font-size: 12px;
+            }
+`;
+}
+
+/**
+ * Generates the HTML content for the webview modal
+ * @param {Array} results - Search results
+ * @param {string} searchKey - The search key
+ * @param {Object} valueGroups - Grouped results by value
+ * @returns {string} HTML content
+ */
+function getWebviewContent(results, searchKey, valueGroups) {
+    const resultRows = results.map((result, index) => {
+        const smartDisplayName = getSmartDisplayName(result.file, results);
+        const relativePath = result.file.split('/').slice(-3).join('/');
+        const effectiveValue = getEffectiveValue(result);
+        const effective = effectiveValue === null ? '' : `<div class="effective-value" title="Effective value">→ ${escapeHtml(JSON.stringify(effectiveValue))}</div>`;
+        const origin = result.origin && result.origin !== 'local'
+            ? `<div class="value-origin">${result.origin === 'merge' ? 'inherited from' : 'alias of'} <a href="#" class="anchor-link" data-index="${index}" title="Go to the anchor">&amp;${escapeHtml(result.anchor.name)}</a></div>`
+            : '';
+        return `
+            <tr>
+                <td><input type="checkbox" checked data-index="${index}"></td>
+                <td><button class="preview-btn" data-index="${index}">👁️</button></td>
+                <td class="file-name">${smartDisplayName}</td>
+                <td class="file-path">${relativePath}</td>
+                <td class="key-path">${result.path}${origin}</td>
+                <td class="line-num">${result.line}</td>
+                <td class="document">${escapeHtml(describeDocument(result))}</td>
+                <td class="current-value">${escapeHtml(JSON.stringify(getKeyPathValue(result)))}${effective}</td>
+                <td class="new-value" id="newValue-${index}"></td>
+                <td class="match-type">${result.isExactMatch ? '✓ Exact' : '~ Partial'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const valueSummary = Object.keys(valueGroups).map(valueKey => {
+        return `<div class="value-group">
+            <span class="value">${valueKey}</span>
+            <span class="count">${valueGroups[valueKey].length} occurrence(s)</span>
+        </div>`;
+    }).join('');
+
+    const defaultValue = results.length > 0 ? 
+        (typeof results[0].value === 'string' ? results[0].value : JSON.stringify(results[0].value)) : '';
+
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>YAML Find & Replace</title>
+        <style>
+${getWebviewStyles()}
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div class="search-info">Find & Replace: "${searchKey}"</div>
+            <div>Found ${results.length} occurrences across ${new Set(results.map(r => r.file)).size} files</div>
+        </div>
+
+        <div class="summary">
+            <strong>Current Values:</strong>
+            ${valueSummary}
+        </div>
+
+        <div class="replace-section">
+            <div class="input-group">
+                <label for="mode">Replace With:</label>
+                <select id="mode">
+                    <option value="literal">Literal value</option>
+                    <option value="structured">Structured YAML (mapping or sequence)</option>
+                    <option value="regex">Regex find &amp; replace inside the value</option>
+                    <option value="arithmetic">Arithmetic on numbers</option>
+                    <option value="template">Template</option>
+                </select>
+            </div>
+            <div class="input-group" id="findInput" style="display: none;">
+                <label for="findPattern">Find:</label>
+                <input type="text" id="findPattern" placeholder="localhost or /local(host)?/i">
+            </div>
+            <div class="input-group" id="scalarInput">
+                <label for="newValue" id="newValueLabel">New Value:</label>
+                <input type="text" id="newValue" value="${defaultValue}" placeholder="Enter replacement value">
+            </div>
+            <div class="input-group" id="structuredInput" style="display: none;">
+                <label for="newYaml">New Value:</label>
+                <textarea id="newYaml" placeholder="connect: 5&#10;read: 30"></textarea>
+            </div>
+            <div class="mode-help" id="modeHelp"></div>
+            <div class="value-error" id="valueError"></div>
+            <div class="selection-info">
+                <span id="selectionCount">${results.length}</span> items selected for replacement
+            </div>
+        </div>
+
+        <div style="max-height: 400px; overflow-y: auto;">
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" id="selectAll" checked></th>
+                        <th>Preview</th>
+                        <th>File</th>
+                        <th>Path</th>
+                        <th>Key</th>
+                        <th>Line</th>
+                        <th>Document</th>
+                        <th>Current Value</th>
+                        <th>New Value</th>
+                        <th>Match</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${resultRows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="actions">
+            <button class="btn btn-primary" id="replaceSelected">Replace Selected</button>
+            <button class="btn btn-primary" id="replaceAll">Replace All</button>
+            <button class="btn btn-secondary" id="reviewEach">Review Each</button>
+            <button class="btn btn-secondary" id="cancel">Cancel</button>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            
+            // Handle select all checkbox
+            document.getElementById('selectAll').addEventListener('change', function(e) {
+                const checkboxes = document.querySelectorAll('tbody input[type="checkbox"]');
+                checkboxes.forEach(cb => cb.checked = e.target.checked);
+                updateSelectionCount();
+            });
+
+            // Handle individual checkboxes
+            document.querySelectorAll('tbody input[type="checkbox"]').forEach(cb => {
+                cb.addEventListener('change', updateSelectionCount);
+            });
+
+            // Update selection count
+            function updateSelectionCount() {
+                const checked = document.querySelectorAll('tbody input[type="checkbox"]:checked').length;
+                document.getElementById('selectionCount').textContent = checked;
+            }
+
+            const modes = {
+                literal: { label: 'New Value:', placeholder: 'Enter replacement value', help: '' },
+                structured: { help: 'The YAML snippet is validated and re-indented for every match.' },
+                regex: { label: 'Replace:', placeholder: 'db.internal', help: 'Replaces every match of the pattern inside the current value. Use $1, $2, ... for captured groups.' },
+                arithmetic: { label: 'Operation:', placeholder: '*2', help: 'Applies to numeric values: *2, +10, -1, /4.' },
+                template: { label: 'Template:', placeholder: '\${old}-v2', help: 'Variables: \${old}, \${key}, \${path}, \${file}, \${basename}, \${dirname}, \${segment[N]} (file path segment, negative counts from the end), \${keySegment[N]}.' }
+            };
+
+            // Switch between replace modes
+            document.getElementById('mode').addEventListener('change', function(e) {
+                const mode = modes[e.target.value];
+                document.getElementById('findInput').style.display = e.target.value === 'regex' ? 'flex' : 'none';
+                document.getElementById('scalarInput').style.display = e.target.value === 'structured' ? 'none' : 'flex';
+                document.getElementById('structuredInput').style.display = e.target.value === 'structured' ? 'flex' : 'none';
+                if (mode.label) {
+                    document.getElementById('newValueLabel').textContent = mode.label;
+                    document.getElementById('newValue').placeholder = mode.placeholder;
+                }
+                document.getElementById('modeHelp').textContent = mode.help;
+                document.getElementById('valueError').textContent = '';
+                requestPreview();
+            });
+
+            function getReplacement() {
+                const mode = document.getElementById('mode').value;
+                return {
+                    mode: mode,
+                    newValue: mode === 'structured' ? document.getElementById('newYaml').value : document.getElementById('newValue').value,
+                    find: document.getElementById('findPattern').value
+                };
+            }
+
+            // Ask the extension for each row's new value while typing
+            let previewTimer;
+            function requestPreview() {
+                clearTimeout(previewTimer);
+                previewTimer = setTimeout(() => {
+                    vscode.postMessage(Object.assign({ command: 'previewValues' }, getReplacement()));
+                }, 200);
+            }
+            ['newValue', 'newYaml', 'findPattern'].forEach(id => {
+                document.getElementById(id).addEventListener('input', requestPreview);
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                if (message.command === 'invalidValue') {
+                    // Snippet or transform errors reported on apply
+                    document.getElementById('valueError').textContent = message.error;
+                } else if (message.command === 'previewValues') {
+                    message.values.forEach((preview, index) => {
+                        const cell = document.getElementById('newValue-' + index);
+                        const checkbox = document.querySelector('tbody input[data-index="' + index + '"]');
+                        cell.textContent = preview.error ? '⚠ ' + preview.error : preview.value;
+                        cell.classList.toggle('error', Boolean(preview.error));
+                        // Matches the transform does not apply to are skipped
+                        if (preview.error) {
+                            checkbox.checked = false;
+                        } else if (checkbox.disabled) {
+                            checkbox.checked = true;
+                        }
+                        checkbox.disabled = Boolean(preview.error);
+                    });
+                    updateSelectionCount();
+                }
+            });
+            requestPreview();
+
+            // Handle preview buttons
+            document.querySelectorAll('.preview-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    const index = parseInt(this.dataset.index);
+                    vscode.postMessage({
+                        command: 'preview',
+                        index: index
+                    });
+                });
+            });
+
+            // Jump to the anchor an inherited value comes from
+            document.querySelectorAll('.anchor-link').forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    vscode.postMessage({
+                        command: 'openAnchor',
+                        index: parseInt(this.dataset.index)
+                    });
+                });
+            });
+
+            // Handle action buttons
+            document.getElementById('replaceSelected').addEventListener('click', function() {
+                const selectedIndices = Array.from(document.querySelectorAll('tbody input[type="checkbox"]:checked'))
+                    .map(cb => parseInt(cb.dataset.index));
+                
+                if (selectedIndices.length === 0) {
+                    alert('Please select at least one item to replace.');
+                    return;
+                }
+                
+                vscode.postMessage(Object.assign({
+                    command: 'replaceSelected',
+                    selectedIndices: selectedIndices
+                }, getReplacement()));
+            });
+
+            document.getElementById('replaceAll').addEventListener('click', function() {
+                vscode.postMessage(Object.assign({ command: 'replaceAll' }, getReplacement()));
+            });
+
+            document.getElementById('reviewEach').addEventListener('click', function() {
+                vscode.postMessage(Object.assign({ command: 'reviewEach' }, getReplacement()));
+            });
+
+            document.getElementById('cancel').addEventListener('click', function() {
+                vscode.postMessage({ command: 'cancel' });
+            });
+        </script>
+    </body>
+    </html>`;
+}
+
+/**
+ * Preview a specific result by opening the file and highlighting the line
+ * @param {Object} result - The search result to preview
+ */
+async function previewResult(result) {
+    try {
+        const doc = await vscode.workspace.openTextDocument(result.file);
+        const editor = await vscode.window.showTextDocument(doc, vscode.ViewColumn.One);
+        const position = new vscode.Position(result.line - 1, result.column - 1);
+        editor.selection = new vscode.Selection(position, position);
+        editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not preview ${path.basename(result.file)}: ${error.message}`);
+    }
+}
+
+
+
+/**
+ * Debug function to log replace operation details
+ * @param {Array} results - Array of search results
+ * @param {string|Function} newValue - The replacement value, or a function computing it for each match
+ */
+function debugReplaceOperation(results, newValue) {
+    console.log('=== REPLACE OPERATION DEBUG ===');
+    console.log(`New value: ${typeof newValue === 'function' ? '(computed per match)' : `"${newValue}"`}`);
+    console.log(`Total results: ${results.length}`);
+    
+    results.forEach((result, index) => {
+        console.log(`Result ${index + 1}:`);
+        console.log(`  File: ${result.file}`);
+        console.log(`  Path: ${result.path}`);
+        console.log(`  Key: "${result.key}"`);
+        console.log(`  Line: ${result.line}`);
+        console.log(`  Current value: ${JSON.stringify(getKeyPathValue(result))}`);
+        console.log(`  Full path: ${result.fullPath || 'N/A'}`);
+    });
+    console.log('=== END DEBUG ===');
+}
+
+/**
+ * Performs batch replacement of all results
+ * @param {Array} results - Array of search results
+ * @param {string|Function} newValue - The replacement value, or a function computing it for each match
+ * @param {boolean} structured - Whether newValue is a YAML snippet (mapping, sequence, ...)
+ */
+async function performBatchReplace(results, newValue, structured = false) {
+    // Debug the operation
+    debugReplaceOperation(results, newValue);
+    
+    const changesByFile = {};
+    
+    // Group changes by file
+    results.forEach(result => {
+        if (!changesByFile[result.file]) {
+            changesByFile[result.file] = [];
+        }
+        changesByFile[result.file].push(result);
+    });
+
+    let totalChanges = 0;
+    const errors = [];
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Replacing YAML values...',
+        cancellable: false
+    }, async (progress) => {
+        const files = Object.keys(changesByFile);
+        const fileChanges = [];
+        
+        for (let i = 0; i < files.length; i++) {
+            const filePath = files[i];
+            const fileResults = changesByFile[filePath];
+            
+            progress.report({
+                message: `Processing ${path.basename(filePath)} (${i + 1}/${files.length})`,
+                increment: (100 / files.length)
+            });
+
+            try {
+                const change = computeFileReplacement(filePath, fileResults, newValue, structured);
+                if (change.changes > 0) {
+                    fileChanges.push(change);
+                }
+            } catch (error) {
+                errors.push(`${path.basename(filePath)}: ${error.message}`);
+            }
+        }
+
+        // Apply every file at once so the whole batch is a single undo step
+        try {
+            await applyFileChanges(fileChanges);
+            totalChanges = fileChanges.reduce((sum, change) => sum + change.changes, 0);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+
+    // Show results
+    if (errors.length > 0) {
+        vscode.window.showWarningMessage(
+            `Replaced ${totalChanges} occurrences. ${errors.length} files had errors.`,
+            'Show Errors'
+        ).then(choice => {
+            if (choice === 'Show Errors') {
+                vscode.window.showErrorMessage(errors.join('\n'));
+            }
+        });
+    } else {
+        vscode.window.showInformationMessage(`Successfully replaced ${totalChanges} occurrences across ${Object.keys(changesByFile).length} files.`);
+    }
+}
+
+/**
+ * Performs replacement with individual review
+ * @param {Array} results - Array of search results
+ * @param {string|Function} newValue - The replacement value, or a function computing it for each match
+ * @param {boolean} structured - Whether newValue is a YAML snippet (mapping, sequence, ...)
+ */
+async function performReviewReplace(results, newValue, structured = false) {
+    // Debug the operation
+    debugReplaceOperation(results, newValue);
+    
+    let totalChanges = 0;
+    let currentIndex = 0;
+
+    for (const result of results) {
+        currentIndex++;
+        
+        // Open the file and show the location
+        const doc = await vscode.workspace.openTextDocument(result.file);
+        const editor = await vscode.window.showTextDocument(doc);
+        const position = new vscode.Position(result.line - 1, result.column - 1);
+        editor.selection = new vscode.Selection(position, position);
+        editor.revealRange(new vscode.Range(position, position));
+
+        // Ask user for action
+        const action = await vscode.window.showWarningMessage(
+            `Replace "${result.path}" in ${path.basename(result.file)}?\nCurrent: ${JSON.stringify(getKeyPathValue(result))}\nNew: ${JSON.stringify(typeof newValue === 'function' ? newValue(result) : newValue)}\n\n(${currentIndex}/${results.length})`,
+            'Replace', 'Skip', 'Replace All Remaining', 'Cancel'
+        );
+
+        if (action === 'Replace') {
+            try {
+                const changes = await replaceInFile(result.file, [result], newValue, structured);
+                totalChanges += changes;
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error replacing in ${path.basename(result.file)}: ${error.message}`);
+            }
+        } else if (action === 'Replace All Remaining') {
+            // Replace current and all remaining
+            const remaining = results.slice(currentIndex - 1);
+            const changesByFile = {};
+            remaining.forEach(r => {
+                if (!changesByFile[r.file]) {
+                    changesByFile[r.file] = [];
+                }
+                changesByFile[r.file].push(r);
+            });
+
+            const fileChanges = [];
+            for (const [filePath, fileResults] of Object.entries(changesByFile)) {
+                try {
+                    const change = computeFileReplacement(filePath, fileResults, newValue, structured);
+                    if (change.changes > 0) {
+                        fileChanges.push(change);
+                    }
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Error replacing in ${path.basename(filePath)}: ${error.message}`);
+                }
+            }
+
+            try {
+                await applyFileChanges(fileChanges);
+                totalChanges += fileChanges.reduce((sum, change) => sum + change.changes, 0);
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error replacing values: ${error.message}`);
+            }
+            break;
+        } else if (action === 'Cancel') {
+            break;
+        }
+        // Skip continues to next iteration
+    }
+
+    if (totalChanges > 0) {
+        vscode.window.showInformationMessage(`Successfully replaced ${totalChanges} occurrences.`);
+    }
+}
+
+/**
+ * Replaces values in a specific file
+ * @param {string} filePath - Path to the file
+ * @param {Array} results - Array of search results for this file
+ * @param {string|Function} newValue - The replacement value, or a function computing it for each match
+ * @param {boolean} structured - Whether newValue is a YAML snippet (mapping, sequence, ...)
+ * @returns {Promise<number>} Number of changes made
+ */
+async function replaceInFile(filePath, results, newValue, structured = false) {
+    const change = computeFileReplacement(filePath, results, newValue, structured);
+    if (change.changes > 0) {
+        await applyFileChanges([change]);
+    }
+    return change.changes;
+}
+
+/**
+ * Computes the new content of a file with values replaced, without writing it
+ * @param {string} filePath - Path to the file
+ * @param {Array} results - Array of search results for this file
+ * @param {string|Function} newValue - The replacement value, or a function computing it for each match
+ * @param {boolean} structured - Whether newValue is a YAML snippet (mapping, sequence, ...)
+ * @returns {Object} {file, content, newContent, changes} for applyFileChanges()
+ */
+function computeFileReplacement(filePath, results, newValue, structured = false) {
+    try {
+        const content = readFileContent(filePath);
+        let changes = 0;
+
+        console.log(`Replacing in file: ${filePath}, ${results.length} results`);
+
+        // Re-read the locations from the current content, in case the file changed since the search
+        const adapter = getFormatAdapter(filePath) || FORMAT_ADAPTERS[0];
+        if (structured && !adapter.structured) {
+            throw new Error(`Structured values cannot be written to ${adapter.label} files`);
+        }
+        const keyPaths = adapter.readKeyPaths(filePath, content);
+        const edits = [];
+        const overrides = [];
+
+        for (const result of results) {
+            try {
+                const entry = keyPaths.find(keyPath =>
+                    keyPath.documentIndex === result.documentIndex && keyPath.path === result.path);
+                if (!entry) {
+                    console.warn(`${result.path} no longer exists in ${filePath}`);
+                    continue;
+                }
+
+                const value = typeof newValue === 'function' ? newValue(entry) : newValue;
+
+                // Inherited values are either edited at the anchor or overridden where they are used
+                let target = entry;
+                if (entry.origin !== 'local' && result.inheritedAction === 'anchor') {
+                    target = keyPaths.find(keyPath => keyPath.documentIndex === entry.documentIndex &&
+                        keyPath.path === entry.anchorPath && isLocalKeyPath(keyPath));
+                    if (!target) {
+                        console.warn(`The anchor &${entry.anchor.name} of ${entry.path} is not under a key`);
+                        continue;
+                    }
+                } else if (!isLocalKeyPath(entry)) {
+                    overrides.push({ entry, value });
+                    continue;
+                }
+
+                const edit = adapter.buildReplacement(content, target, value, structured);
+                if (!edit) {
+                    console.warn(`${target.path} holds a ${target.valueStyle === 'MAP' ? 'mapping' : 'sequence'}, not a single value`);
+                    continue;
+                }
+                edits.push(edit);
+            } catch (resultError) {
+                console.error(`Error processing result at line ${result.line}:`, resultError);
+                continue;
+            }
+        }
+
+        // Apply from the end of the file so earlier offsets stay valid, skipping values
+        // nested inside one that is already being replaced
+        let newContent = content;
+        let appliedStart = Infinity;
+        edits.sort((a, b) => b.start - a.start || a.end - b.end).forEach(edit => {
+            if (edit.end > appliedStart || (edit.start === appliedStart && edit.end === appliedStart)) {
+                return;
+            }
+            newContent = newContent.slice(0, edit.start) + edit.text + newContent.slice(edit.end);
+            appliedStart = edit.start;
+            changes++;
+        });
+
+        // Overrides insert keys, so each one works on the content left by the previous
+        overrides.forEach(({ entry, value }) => {
+            try {
+                newContent = overrideInheritedValue(newContent, entry, value, structured);
+                changes++;
+            } catch (overrideError) {
+                console.warn(`Could not override ${entry.path} locally:`, overrideError.message);
+            }
+        });
+
+        if (changes > 0) {
+            console.log(`Prepared ${changes} changes to ${filePath}`);
+        } else {
+            console.log(`No changes made to ${filePath}`);
+        }
+
+        return { file: filePath, content, newContent, changes };
+        
+    } catch (error) {
+        console.error(`Error in replaceInFile for ${filePath}:`, error);
+        throw new Error(`Failed to replace in ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Overrides a value inherited through `<<: *anchor` or an alias by writing the key where
+ * it is used. Merges are shallow, so a nested value copies its outermost inherited key.
+ * @param {string} content - File content
+ * @param {Object} entry - The inherited entry (from readYamlKeyPaths() for an earlier content)
+ * @param {string} newValue - The replacement value
+ * @param {boolean} structured - Whether newValue is a YAML snippet
+ * @returns {string} The new content
+ */
+function overrideInheritedValue(content, entry, newValue, structured) {
+    let keyPaths = readYamlKeyPaths('', content);
+    const findInDocument = segments => keyPaths.find(keyPath =>
+        keyPath.documentIndex === entry.documentIndex && segmentsEqual(keyPath.segments, segments));
+
+    let top = null;
+    for (let depth = 1; depth <= entry.segments.length && !top; depth++) {
+        const candidate = findInDocument(entry.segments.slice(0, depth));
+        if (candidate && !isLocalKeyPath(candidate)) {
+            top = candidate;
+        }
+    }
+    if (!top) {
+        throw new Error(`${entry.path} is no longer inherited`);
+    }
+    if (typeof top.segments[top.segments.length - 1] === 'number') {
+        throw new Error(`${top.path} is a sequence item; edit the anchor instead`);
+    }
+
+    let lines = content.split('\n');
+    const indentUnit = detectIndentUnit(lines);
+
+    // `key: *anchor` becomes a mapping that merges the anchor, so keys can be added to it
+    const holder = findInDocument(top.segments.slice(0, -1));
+    if (holder.origin === 'alias') {
+        if (holder.inFlow || typeof holder.segments[holder.segments.length - 1] === 'number') {
+            throw new Error(`${holder.path} is not a block mapping key; edit the anchor instead`);
+        }
+        const merge = `\n${' '.repeat(holder.keySpan.startColumn - 1 + indentUnit)}<<: *${holder.anchor.name}`;
+        content = content.slice(0, holder.valueSpan.start).replace(/[ \t]*$/, '') + merge + content.slice(holder.valueSpan.end);
+        keyPaths = readYamlKeyPaths('', content);
+        lines = content.split('\n');
+    }
+
+    // Type the new value the way the anchor's value is written
+    const source = findInDocument(entry.segments) || entry;
+    const original = keyPaths.find(keyPath => keyPath.documentIndex === entry.documentIndex &&
+        keyPath.path === source.anchorPath && isLocalKeyPath(keyPath));
+    const style = original && !['BLOCK_LITERAL', 'BLOCK_FOLDED', 'ALIAS'].includes(original.valueStyle) ? original.valueStyle : 'PLAIN';
+    const value = structured
+        ? parseStructuredValue(newValue)
+        : yaml.parse(formatInlineScalar(newValue, style, original ? getValueSource(content, original) : '', false));
+
+    const block = new yaml.Document({ [top.key]: getKeyPathValue(top, keyPaths) });
+    block.setIn(entry.segments.slice(top.segments.length - 1), value);
+    const blockLines = block.toString({ indent: indentUnit, lineWidth: 0, flowCollectionPadding: false }).trimEnd().split('\n');
+
+    const insertion = findInsertionPoint(content, keyPaths, entry.documentIndex, top.segments);
+    lines.splice(insertion.afterLine + 1, 0, ...buildInsertionLines(blockLines, 0, insertion, indentUnit));
+    return lines.join('\n');
+}
+
+/**
+ * Asks how to replace values that are inherited from an anchor: override them where they
+ * are used, or edit the anchor (which changes every place that reuses it)
+ * @param {Array} results - The results about to be replaced
+ * @returns {Promise<Array|undefined>} The results with an inheritedAction, or undefined if cancelled
+ */
+async function chooseInheritedReplacement(results) {
+    const groups = new Map();
+    results.filter(result => result.origin && result.origin !== 'local').forEach(result => {
+        const groupKey = `${result.file}#${result.documentIndex}&${result.anchor.name}`;
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, []);
+        }
+        groups.get(groupKey).push(result);
+    });
+
+    const actions = new Map();
+    for (const [groupKey, inherited] of groups) {
+        const anchor = inherited[0].anchor;
+        const count = inherited.length === 1 ? inherited[0].path : `${inherited.length} keys`;
+        const choice = await vscode.window.showQuickPick([
+            {
+                label: '$(edit) Override locally',
+                detail: `Write ${count} where ${inherited.length === 1 ? 'it is' : 'they are'} used; &${anchor.name} and its other users keep their value`,
+                action: 'override'
+            },
+            {
+                label: `$(references) Edit anchor &${anchor.name} (affects ${anchor.uses + 1} places)`,
+                detail: `Change the value under ${anchor.path || `&${anchor.name}`} at line ${anchor.line} of ${path.basename(inherited[0].file)}, and with it every alias of the anchor`,
+                action: 'anchor'
+            }
+        ], {
+            placeHolder: `${count} ${inherited.length === 1 ? 'is' : 'are'} inherited from &${anchor.name} in ${path.basename(inherited[0].file)}`,
+            ignoreFocusOut: true
+        });
+        if (!choice) {
+            return undefined;
+        }
+        actions.set(groupKey, choice.action);
+    }
+
+    return results.map(result => {
+        const groupKey = result.anchor ? `${result.file}#${result.documentIndex}&${result.anchor.name}` : null;
+        return actions.has(groupKey) ? Object.assign({}, result, { inheritedAction: actions.get(groupKey) }) : result;
+    });
+}
+
+/**
+ * Describes where a value comes from when it is not written under the key itself
+ * @param {Object} result - A search result or key path entry
+ * @returns {string} e.g. "inherited from &defaults (line 3)", or '' for local values
+ */
+function describeValueOrigin(result) {
+    if (!result.origin || result.origin === 'local') {
+        return '';
+    }
+    const where = result.anchor.line > 0 ? ` (line ${result.anchor.line})` : '';
+    return result.origin === 'merge'
+        ? `inherited from &${result.anchor.name}${where}`
+        : `alias of &${result.anchor.name}${where}`;
+}
+
+/**
+ * Builds the edit replacing exactly a key's value node, leaving the key, comments and
+ * surrounding formatting untouched
+ * @param {string} content - File content
+ * @param {Object} entry - Entry from extractKeyPaths() for the content
+ * @param {string} newValue - The replacement value
+ * @returns {{start: number, end: number, text: string}|null} The edit, or null when the value is a collection
+ */
+function buildValueReplacement(content, entry, newValue) {
+    if (entry.valueStyle === 'MAP' || entry.valueStyle === 'SEQ') {
+        return null;
+    }
+
+    const span = entry.valueSpan;
+    const source = content.slice(span.start, span.end);
+
+    if (span.start === span.end) {
+        // Empty value ("key:"), possibly followed by a comment
+        let text = formatInlineScalar(newValue, 'PLAIN', '', entry.inFlow);
+        if (content[span.start - 1] !== ' ') {
+            text = ` ${text}`;
+        }
+        if (content[span.start] === '#') {
+            text = `${text} `;
+        }
+        return { start: span.start, end: span.end, text };
+    }
+
+    if (entry.valueStyle === 'BLOCK_LITERAL' || entry.valueStyle === 'BLOCK_FOLDED') {
+        return { start: span.start, end: span.end, text: formatBlockScalar(newValue, source, content, entry) };
+    }
+
+    return { start: span.start, end: span.end, text: formatInlineScalar(newValue, entry.valueStyle, source, entry.inFlow) };
+}
+
+/**
+ * Parses a YAML snippet entered as a structured replacement value
+ * @param {string} snippet - The YAML text
+ * @returns {yaml.Document} The parsed snippet
+ * @throws {Error} When the snippet is empty, invalid or holds several documents
+ */
+function parseStructuredValue(snippet) {
+    const docs = yaml.parseAllDocuments(snippet);
+    if (!Array.isArray(docs) || docs.length === 0 || docs[0].contents === null) {
+        throw new Error('Enter a YAML value');
+    }
+    if (docs.length > 1) {
+        throw new Error('The replacement must be a single YAML document');
+    }
+    if (docs[0].errors.length > 0) {
+        throw new Error(`Invalid YAML: ${docs[0].errors[0].message.split('\n')[0].replace(/:$/, '')}`);
+    }
+    return docs[0];
+}
+
+/**
+ * Renders a parsed snippet on a single line, turning collections into flow style
+ * @param {yaml.Document} doc - The parsed snippet
+ * @returns {string} Single-line YAML
+ */
+function toSingleLineYaml(doc) {
+    const copy = doc.clone();
+    copy.commentBefore = null;
+    copy.comment = null;
+    yaml.visit(copy, {
+        Node(_, node) {
+            node.commentBefore = null;
+            node.comment = null;
+            if (yaml.isCollection(node)) {
+                node.flow = true;
+            } else if (yaml.isScalar(node) && (node.type === 'BLOCK_LITERAL' || node.type === 'BLOCK_FOLDED')) {
+                node.type = 'QUOTE_DOUBLE';
+            }
+        }
+    });
+    return copy.toString({ lineWidth: 0, flowCollectionPadding: false }).trim();
+}
+
+/**
+ * Builds the edit replacing a key's value with a YAML snippet, indented for the target.
+ * Block mappings and sequences go on the lines below the key (or after `- ` for sequence
+ * items); inside flow collections, or for single-line snippets, the value stays inline.
+ * @param {string} content - File content
+ * @param {Object} entry - Entry from extractKeyPaths() for the content
+ * @param {string} snippet - The YAML snippet
+ * @returns {{start: number, end: number, text: string}} The edit
+ */
+function buildStructuredReplacement(content, entry, snippet) {
+    const doc = parseStructuredValue(snippet);
+    const snippetLines = snippet.replace(/\s+$/, '').split('\n');
+    const baseIndent = Math.min(...snippetLines.filter(line => line.trim()).map(getIndentation));
+    const lines = reindentLines(snippetLines, baseIndent, 0);
+    const isBlockCollection = yaml.isCollection(doc.contents) && !doc.contents.flow;
+    const inline = lines.length === 1 ? lines[0] : toSingleLineYaml(doc);
+
+    const span = entry.valueSpan;
+    // Collections and block scalars end with their line break, which stays in place
+    const valueEnd = span.start + content.slice(span.start, span.end).replace(/\s+$/, '').length;
+    const isItem = typeof entry.segments[entry.segments.length - 1] === 'number';
+
+    const valueOnKeyLine = span.start !== span.end && span.startLine === entry.keySpan.endLine;
+    if (entry.inFlow || (!isBlockCollection && (isItem || valueOnKeyLine))) {
+        return { start: span.start, end: valueEnd, text: inline };
+    }
+
+    if (isItem) {
+        // Continuation lines line up with the item's first line
+        const itemIndent = span.startColumn - 1;
+        return { start: span.start, end: valueEnd, text: [lines[0]].concat(reindentLines(lines.slice(1), 0, itemIndent)).join('\n') };
+    }
+
+    // Rewrite everything after the key's colon, keeping a comment on the key line
+    const colon = content.indexOf(':', entry.keySpan.end) + 1;
+    let keyLineEnd = content.indexOf('\n', entry.keySpan.end);
+    if (keyLineEnd === -1) {
+        keyLineEnd = content.length;
+    }
+    const commentSource = span.start < keyLineEnd ? content.slice(valueEnd, keyLineEnd) : content.slice(colon, keyLineEnd);
+    const comment = commentSource.trim().startsWith('#') ? ` ${commentSource.trim()}` : '';
+    const end = Math.max(valueEnd, comment ? keyLineEnd : colon);
+
+    if (!isBlockCollection) {
+        return { start: colon, end, text: ` ${inline}${comment}` };
+    }
+
+    const keyIndent = entry.keySpan.startColumn - 1;
+    const childIndent = keyIndent + detectIndentUnit(content.split('\n'));
+    return { start: colon, end, text: `${comment}\n${reindentLines(lines, 0, childIndent).join('\n')}` };
+}
+
+/**
+ * Finds the open editor document for a file, if any
+ * @param {string} filePath - Path to the file
+ * @returns {vscode.TextDocument|undefined} The open document
+ */
+function findOpenDocument(filePath) {
+    return vscode.workspace.textDocuments.find(document =>
+        document.uri.scheme === 'file' && document.uri.fsPath === filePath);
+}
+
+/**
+ * Reads a file's current content, preferring unsaved changes in an open editor over the disk
+ * @param {string} filePath - Path to the file
+ * @returns {string} File content
+ */
+function readFileContent(filePath) {
+    const document = findOpenDocument(filePath);
+    return document ? document.getText() : fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Converts a character offset in a text into a VS Code position
+ * @param {string} text - The text
+ * @param {number} offset - Character offset
+ * @returns {vscode.Position} 0-indexed position
+ */
+function offsetToVscodePosition(text, offset) {
+    const before = text.slice(0, offset);
+    const line = before.split('\n').length - 1;
+    return new vscode.Position(line, offset - (before.lastIndexOf('\n') + 1));
+}
+
+/**
+ * Narrows a change down to the single range that actually differs
+ * @param {string} oldText - Current content
+ * @param {string} newText - New content
+ * @returns {{start: number, end: number, text: string}} Offsets in oldText and the replacement text
+ */
+function computeMinimalEdit(oldText, newText) {
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+        start++;
+    }
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    return { start, end: oldEnd, text: newText.slice(start, newEnd) };
+}
+
+/**
+ * Splits a whole-file change into one small edit per changed region (a line diff),
+ * so cursors, folding and undo in open editors only see the lines that changed
+ * @param {string} oldText - Current content
+ * @param {string} newText - New content
+ * @returns {Array<{start: number, end: number, text: string}>} Edits with offsets in oldText
+ */
+function computeTextEdits(oldText, newText) {
+    // Each line keeps its newline, so joining any run of lines gives the exact text
+    const toLines = text => text.split('\n').map((line, index, all) => index < all.length - 1 ? `${line}\n` : line);
+    const oldLines = toLines(oldText);
+    const newLines = toLines(newText);
+
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const hunks = [];
+
+    if (oldMiddle.length * newMiddle.length > 4000000) {
+        // Too large to diff line by line: fall back to a single edit
+        hunks.push({ oldStart: 0, oldEnd: oldMiddle.length, newStart: 0, newEnd: newMiddle.length });
+    } else {
+        // Longest common subsequence of lines, then walk it to collect the differing runs
+        const lcs = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lcs[i][j] = oldMiddle[i] === newMiddle[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        let hunk = null;
+        while (i < oldMiddle.length || j < newMiddle.length) {
+            if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+                hunk = null;
+                i++;
+                j++;
+                continue;
+            }
+            if (!hunk) {
+                hunk = { oldStart: i, oldEnd: i, newStart: j, newEnd: j };
+                hunks.push(hunk);
+            }
+            if (j < newMiddle.length && (i >= oldMiddle.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                j++;
+                hunk.newEnd = j;
+            } else {
+                i++;
+                hunk.oldEnd = i;
+            }
+        }
+    }
+
+    const prefixLength = oldLines.slice(0, prefix).join('').length;
+    let offset = prefixLength;
+    let consumed = 0;
+    return hunks.map(hunk => {
+        offset += oldMiddle.slice(consumed, hunk.oldStart).join('').length;
+        const oldSegment = oldMiddle.slice(hunk.oldStart, hunk.oldEnd).join('');
+        const newSegment = newMiddle.slice(hunk.newStart, hunk.newEnd).join('');
+        const minimal = computeMinimalEdit(oldSegment, newSegment);
+        const edit = { start: offset + minimal.start, end: offset + minimal.end, text: minimal.text };
+        offset += oldSegment.length;
+        consumed = hunk.oldEnd;
+        return edit;
+    });
+}
+
+/**
+ * Applies new file contents as one WorkspaceEdit, so the whole operation is a single
+ * undo step and plays well with open editors. Files that had no unsaved changes are
+ * saved afterwards; files with unsaved changes are left dirty for the user to save.
+ * @param {Array} fileChanges - Array of {file, content, newContent}
+ * @returns {Promise<void>}
+ */
+async function applyFileChanges(fileChanges) {
+    const changed = fileChanges.filter(change => change.newContent !== change.content);
+    if (changed.length === 0) {
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const wasDirty = new Set();
+    changed.forEach(change => {
+        const openDocument = findOpenDocument(change.file);
+        if (openDocument && openDocument.isDirty) {
+            wasDirty.add(change.file);
+        }
+
+        computeTextEdits(change.content, change.newContent).forEach(textEdit => {
+            const range = new vscode.Range(
+                offsetToVscodePosition(change.content, textEdit.start),
+                offsetToVscodePosition(change.content, textEdit.end)
+            );
+            edit.replace(vscode.Uri.file(change.file), range, textEdit.text);
+        });
+    });
+
+    const applied = await vscode.workspace.applyEdit(edit);
+    if (!applied) {
+        throw new Error('The edit could not be applied. Files may have changed since the search; please search again.');
+    }
+
+    for (const change of changed) {
+        const document = findOpenDocument(change.file);
+        if (document && !wasDirty.has(change.file)) {
+            await document.save();
+        }
+        await indexYamlFile(change.file);
+    }
+}
+
+/**
+ * Checks whether a value can be written as a plain (unquoted) scalar without changing meaning
+ * @param {string} value - The value
+ * @param {boolean} inFlow - Whether it goes inside a flow collection ({...} or [...])
+ * @returns {boolean} True when the value round-trips as a plain scalar
+ */
+function isPlainScalarSafe(value, inFlow) {
+    if (value === '' || value !== value.trim() || value.includes('\n')) {
+        return false;
+    }
+
+    const doc = yaml.parseDocument(inFlow ? `[${value}]` : `key: ${value}`);
+    if (doc.errors.length > 0) {
+        return false;
+    }
+
+    const node = inFlow
+        ? (yaml.isSeq(doc.contents) && doc.contents.items.length === 1 ? doc.contents.items[0] : null)
+        : doc.contents.items[0].value;
+    return yaml.isScalar(node) && node.type === 'PLAIN' && node.range[1] - node.range[0] === value.length;
+}
+
+/**
+ * Formats a replacement value in the style of the original single-line value
+ * @param {string} newValue - The replacement value
+ * @param {string} style - Original scalar style ('PLAIN', 'QUOTE_SINGLE', 'QUOTE_DOUBLE' or 'ALIAS')
+ * @param {string} originalValue - The original value as written in the file
+ * @param {boolean} inFlow - Whether the value sits inside a flow collection
+ * @returns {string} The replacement formatted for YAML
+ */
+function formatInlineScalar(newValue, style, originalValue, inFlow) {
+    if (newValue.includes('\n')) {
+        // Only double quotes can hold line breaks on a single line
+        return JSON.stringify(newValue);
+    }
+
+    if (style === 'QUOTE_SINGLE') {
+        return `'${newValue.replace(/'/g, "''")}'`;
+    }
+    if (style === 'QUOTE_DOUBLE') {
+        return JSON.stringify(newValue);
+    }
+    if ((originalValue === 'true' || originalValue === 'false') && /^(true|false)$/i.test(newValue)) {
+        // Booleans stay lowercase; anything else is written like other plain values
+        return newValue.toLowerCase();
+    }
+
+    // Plain values stay plain unless the new value needs quoting
+    return isPlainScalarSafe(newValue, inFlow) ? newValue : `'${newValue.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Formats a replacement value as a block scalar, keeping the original header
+ * (`|`, `>-`, ...) and content indentation
+ * @param {string} newValue - The replacement value
+ * @param {string} source - The original block scalar as written in the file
+ * @param {string} content - File content
+ * @param {Object} entry - Entry from extractKeyPaths()
+ * @returns {string} The block scalar text
+ */
+function formatBlockScalar(newValue, source, content, entry) {
+    const sourceLines = source.split('\n');
+    const header = sourceLines[0];
+
+    const firstContentLine = sourceLines.slice(1).find(line => line.trim() !== '');
+    let indent;
+    if (firstContentLine !== undefined) {
+        indent = getIndentation(firstContentLine);
+    } else {
+        const keyLine = content.split('\n')[entry.line - 1] || '';
+        indent = getIndentation(keyLine) + detectIndentUnit(content.split('\n'));
+    }
+
+    const body = newValue.split('\n').map(line => line ? ' '.repeat(indent) + line : '').join('\n');
+    return `${header}\n${body}${source.endsWith('\n') ? '\n' : ''}`;
+}
+
+/**
+ * Escapes special regex characters
+ * @param {string} string - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Creates smart display names for files, showing parent directory when there are duplicates
+ * @param {Array} results - Array of search results
+ * @returns {Object} Map of file paths to display names
+ */
+function createSmartDisplayNames(results) {
+    const fileNames = {};
+    const displayNames = {};
+    
+    // First pass: count occurrences of each filename
+    results.forEach(result => {
+        const fileName = path.basename(result.file);
+        if (!fileNames[fileName]) {
+            fileNames[fileName] = [];
+        }
+        fileNames[fileName].push(result.file);
+    });
+    
+    // Second pass: create display names
+    Object.keys(fileNames).forEach(fileName => {
+        const filePaths = fileNames[fileName];
+        
+        if (filePaths.length === 1) {
+            // No duplicates, just use filename
+            displayNames[filePaths[0]] = fileName;
+        } else {
+            // Multiple files with same name, show parent directory
+            filePaths.forEach(filePath => {
+                const pathParts = filePath.split(path.sep);
+                const parentDir = pathParts[pathParts.length - 2] || '';
+                displayNames[filePath] = parentDir ? `${parentDir}/${fileName}` : fileName;
+            });
+        }
+    });
+    
+    return displayNames;
+}
+
+/**
+ * Gets a smart display name for a file path, considering duplicates in the result set
+ * @param {string} filePath - The full file path
+ * @param {Array} allResults - All search results for context
+ * @returns {string} Smart display name
+ */
+function getSmartDisplayName(filePath, allResults) {
+    const displayNames = createSmartDisplayNames(allResults);
+    return displayNames[filePath] || path.basename(filePath);
+}
+
+/**
+ * Runs a search over every indexed YAML file in the workspace
+ * @param {string} title - Progress notification title
+ * @param {Function} searchInFile - (filePath) => Promise<Array> of matches for one file
+ * @param {Function} onResults - Called with the sorted results unless the search was cancelled
+ */
+function searchWorkspace(title, searchInFile, onResults) {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders) {
+        vscode.window.showErrorMessage('No workspace folder is open');
+        return;
+    }
+
+    vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: title,
+        cancellable: true
+    }, async (progress, token) => {
+        try {
+            // Only the very first search has to wait for the workspace to be indexed
+            progress.report({ message: 'Indexing YAML files...' });
+            await ensureKeyIndex();
+
+            let allResults = [];
+            const yamlFiles = getIndexedFiles();
+            
+            for (const filePath of yamlFiles) {
+                if (token.isCancellationRequested) {
+                    return;
+                }
+                
+                try {
+                    const results = await searchInFile(filePath);
+                    allResults = allResults.concat(results);
+                } catch (fileError) {
+                    console.warn(`Error searching file ${filePath}:`, fileError.message);
+                    // Continue with next file instead of failing completely
+                }
+            }
+            
+            // Sort results: exact matches first, then by file name
+            allResults.sort((a, b) => {
+                if (a.isExactMatch && !b.isExactMatch) return -1;
+                if (!a.isExactMatch && b.isExactMatch) return 1;
+                return a.file.localeCompare(b.file);
+            });
+            
+            onResults(allResults);
+            
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error searching YAML files: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Main search function
+ * @param {string} searchKey - The key to search for
+ */
+async function searchYamlKey(searchKey) {
+    if (!searchKey || !searchKey.trim()) {
+        vscode.window.showErrorMessage('Please provide a key to search for');
+        return;
+    }
+
+    searchWorkspace(
+        `Searching for YAML key: ${searchKey}`,
+        filePath => searchKeyInFile(filePath, searchKey),
+        results => showSearchResults(results, searchKey, false)
+    );
+}
+
+/**
+ * Main find and replace function
+ * @param {string} searchKey - The key to search for
+ */
+async function findAndReplaceYamlKey(searchKey) {
+    if (!searchKey || !searchKey.trim()) {
+        vscode.window.showErrorMessage('Please provide a key to search for');
+        return;
+    }
+
+    searchWorkspace(
+        `Searching for YAML key: ${searchKey}`,
+        filePath => searchKeyInFile(filePath, searchKey),
+        results => showSearchResults(results, searchKey, true)
+    );
+}
+
+/**
+ * Reverse lookup: finds every key holding a value
+ * @param {string} searchValue - The literal, /regex/ or type:... value query
+ * @param {boolean} isReplace - Whether to open the replace webview instead of the Quick Pick
+ */
+async function searchYamlValue(searchValue, isReplace = false) {
+    if (!searchValue || !searchValue.trim()) {
+        vscode.window.showErrorMessage('Please provide a value to search for');
+        return;
+    }
+
+    try {
+        compileValueQuery(parseDocumentFilters(searchValue).query);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Invalid value search: ${error.message}`);
+        return;
+    }
+
+    searchWorkspace(
+        `Searching for YAML value: ${searchValue}`,
+        filePath => searchValueInFile(filePath, searchValue),
+        results => showSearchResults(results, searchValue, isReplace, 'value')
+    );
+}
+
+/**
+ * Converts a key path span into a VS Code range
+ * @param {Object} span - Span from getNodeSpan()
+ * @returns {vscode.Range} The equivalent 0-indexed range
+ */
+function spanToRange(span) {
+    return new vscode.Range(span.startLine - 1, span.startColumn - 1, span.endLine - 1, span.endColumn - 1);
+}
+
+/**
+ * Checks whether two key paths have the same segments
+ * @param {Array<string|number>} a - Key path segments
+ * @param {Array<string|number>} b - Key path segments
+ * @returns {boolean} True when both paths are identical
+ */
+function segmentsEqual(a, b) {
+    return a.length === b.length && a.every((segment, index) => segment === b[index]);
+}
+
+/**
+ * Finds the key path at a position in a YAML document. A position on a key returns
+ * that key; a position inside a value returns the innermost key holding it.
+ * @param {vscode.TextDocument} document - The YAML document
+ * @param {vscode.Position} position - The position to look up
+ * @returns {Object|null} {keyPath, onKey} or null when the position is outside any key
+ */
+function findKeyPathAtPosition(document, position) {
+    const offset = document.offsetAt(position);
+    let keyPaths;
+    try {
+        keyPaths = getDocumentKeyPaths(document);
+    } catch (error) {
+        return null;
+    }
+
+    let best = null;
+    keyPaths.forEach(keyPath => {
+        const onKey = keyPath.keySpan && offset >= keyPath.keySpan.start && offset <= keyPath.keySpan.end;
+        const inValue = keyPath.valueSpan && offset >= keyPath.valueSpan.start && offset <= keyPath.valueSpan.end;
+        if (!onKey && !inValue) {
+            return;
+        }
+        if (!best || (onKey && !best.onKey) || (onKey === best.onKey && keyPath.segments.length > best.keyPath.segments.length)) {
+            best = { keyPath, onKey };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Last parsed editor document, so cursor moves and hovers do not re-parse unchanged text
+ */
+let documentKeyPathsCache = null;
+
+/**
+ * Extracts the key paths of an open document, reusing the result while its version is unchanged
+ * @param {vscode.TextDocument} document - The YAML document
+ * @returns {Array} Entries from readYamlKeyPaths()
+ */
+function getDocumentKeyPaths(document) {
+    const filePath = document.uri.fsPath;
+    if (document.version !== undefined && documentKeyPathsCache &&
+        documentKeyPathsCache.file === filePath && documentKeyPathsCache.version === document.version) {
+        return documentKeyPathsCache.keyPaths;
+    }
+
+    const keyPaths = readYamlKeyPaths(filePath, document.getText());
+    documentKeyPathsCache = { file: filePath, version: document.version, keyPaths };
+    return keyPaths;
+}
+
+/**
+ * Formats key path segments in one of the notations offered by the copy command
+ * @param {Array<string|number>} segments - Key path segments
+ * @param {string} format - 'dot' (`a.b[0].c`), 'spring' (`${a.b[0].c}`), 'env' (`A_B_0_C`) or 'pointer' (`/a/b/0/c`)
+ * @returns {string} The formatted path
+ */
+function formatKeyPathAs(segments, format) {
+    switch (format) {
+        case 'spring': {
+            // Spring wraps map keys containing dots in plain brackets
+            const springPath = segments.map((segment, index) => {
+                if (typeof segment === 'number') {
+                    return `[${segment}]`;
+                }
+                if (/[.[\]]/.test(segment)) {
+                    return `[${segment}]`;
+                }
+                return index === 0 ? segment : `.${segment}`;
+            }).join('');
+            return `\${${springPath}}`;
+        }
+        case 'env':
+            // Spring relaxed binding: dots and indices become underscores, dashes are dropped
+            return segments
+                .map(segment => String(segment).replace(/-/g, '').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase())
+                .join('_');
+        case 'pointer':
+            return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+        default:
+            return formatKeyPath(segments);
+    }
+}
+
+/**
+ * Copies the path of the key at the cursor to the clipboard
+ * @param {string} format - Path notation (see formatKeyPathAs()); asks when omitted
+ */
+async function copyKeyPathAtCursor(format) {
+    const editor = vscode.window.activeTextEditor;
+    const found = editor && findKeyPathAtPosition(editor.document, editor.selection.active);
+    if (!found) {
+        vscode.window.showErrorMessage('Place the cursor on a YAML key to copy its path');
+        return;
+    }
+    const segments = found.keyPath.segments;
+
+    if (!format) {
+        const choice = await vscode.window.showQuickPick([
+            { label: formatKeyPathAs(segments, 'dot'), description: 'Dot path', format: 'dot' },
+            { label: formatKeyPathAs(segments, 'spring'), description: 'Spring placeholder', format: 'spring' },
+            { label: formatKeyPathAs(segments, 'env'), description: 'Environment variable', format: 'env' },
+            { label: formatKeyPathAs(segments, 'pointer'), description: 'JSON Pointer', format: 'pointer' }
+        ], {
+            placeHolder: 'Copy the key path as...'
+        });
+        if (!choice) {
+            return;
+        }
+        format = choice.format;
+    }
+
+    const text = formatKeyPathAs(segments, format);
+    await vscode.env.clipboard.writeText(text);
+    vscode.window.setStatusBarMessage(`Copied ${text}`, 2000);
+}
+
+/**
+ * Shows the path of the key at the cursor in the status bar while a YAML file is active
+ * @param {vscode.ExtensionContext} context
+ */
+function registerKeyPathStatusBar(context) {
+    const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    statusBarItem.command = 'yamlKeySearch.copyKeyPathAs';
+    statusBarItem.tooltip = 'YAML key path at the cursor (click to copy)';
+
+    const update = () => {
+        const editor = vscode.window.activeTextEditor;
+        const enabled = vscode.workspace.getConfiguration('yamlKeySearch').get('showKeyPathInStatusBar', true);
+        const found = enabled && editor && editor.document.languageId === 'yaml'
+            ? findKeyPathAtPosition(editor.document, editor.selection.active)
+            : null;
+        if (!found) {
+            statusBarItem.hide();
+            return;
+        }
+        statusBarItem.text = `$(symbol-key) ${found.keyPath.path}`;
+        statusBarItem.show();
+    };
+
+    context.subscriptions.push(
+        statusBarItem,
+        vscode.window.onDidChangeActiveTextEditor(update),
+        vscode.window.onDidChangeTextEditorSelection(update),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yamlKeySearch.showKeyPathInStatusBar')) {
+                update();
+            }
+        })
+    );
+    update();
+}
+
+/**
+ * Formats a key for YAML, keeping the original quote style and quoting when required
+ * @param {string} newKey - The new key name
+ * @param {string} originalText - The key as originally written (e.g. `"name"` or `name`)
+ * @returns {string} The key text to write
+ */
+function formatYamlKey(newKey, originalText) {
+    if (originalText.startsWith("'") && originalText.endsWith("'")) {
+        return `'${newKey.replace(/'/g, "''")}'`;
+    }
+    if (originalText.startsWith('"') && originalText.endsWith('"')) {
+        return JSON.stringify(newKey);
+    }
+    // Plain keys cannot start with indicators or contain ": " / " #"
+    if (/^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|:$|\s$/.test(newKey)) {
+        return JSON.stringify(newKey);
+    }
+    return newKey;
+}
+
+/**
+ * Finds the mapping key at a position for renaming, rejecting sequence items
+ * @param {vscode.TextDocument} document - The YAML document
+ * @param {vscode.Position} position - The cursor position
+ * @returns {Object} The key path entry under the cursor
+ */
+function findRenameableKey(document, position) {
+    const found = findKeyPathAtPosition(document, position);
+    if (!found || !found.onKey) {
+        throw new Error('Place the cursor on a YAML key to rename it');
+    }
+    if (typeof found.keyPath.segments[found.keyPath.segments.length - 1] === 'number') {
+        throw new Error('Sequence items cannot be renamed');
+    }
+    return found.keyPath;
+}
+
+/**
+ * Rename provider: F2 on a key renames that exact dot path in every YAML file
+ */
+const yamlKeyRenameProvider = {
+    prepareRename(document, position) {
+        const keyPath = findRenameableKey(document, position);
+        return {
+            range: spanToRange(keyPath.keySpan),
+            placeholder: keyPath.key
+        };
+    },
+
+    async provideRenameEdits(document, position, newName) {
+        const keyPath = findRenameableKey(document, position);
+        const newKey = newName.trim();
+        if (!newKey) {
+            throw new Error('The new key name cannot be empty');
+        }
+        if (newKey === keyPath.key) {
+            return new vscode.WorkspaceEdit();
+        }
+
+        await ensureKeyIndex();
+
+        const targetSegments = keyPath.segments.slice(0, -1).concat(newKey);
+        const edit = new vscode.WorkspaceEdit();
+        const conflicts = [];
+        const files = new Set(getIndexedFiles('yaml'));
+        files.add(document.uri.fsPath);
+
+        for (const filePath of files) {
+            // The document being edited may have unsaved changes, so read it from the editor
+            const keyPaths = filePath === document.uri.fsPath
+                ? readYamlKeyPaths(filePath, document.getText())
+                : getIndexedKeyPaths(filePath);
+            const matches = keyPaths.filter(entry => segmentsEqual(entry.segments, keyPath.segments) && isLocalKeyPath(entry));
+            if (matches.length === 0) {
+                continue;
+            }
+
+            const conflicting = keyPaths.some(entry => matches.some(match => match.documentIndex === entry.documentIndex) &&
+                segmentsEqual(entry.segments, targetSegments));
+            if (conflicting) {
+                conflicts.push(vscode.workspace.asRelativePath(filePath));
+                continue;
+            }
+
+            const uri = vscode.Uri.file(filePath);
+            const content = filePath === document.uri.fsPath ? document.getText() : readFileContent(filePath);
+            matches.forEach(match => {
+                const originalText = content.slice(match.keySpan.start, match.keySpan.end);
+                edit.replace(uri, spanToRange(match.keySpan), formatYamlKey(newKey, originalText), {
+                    needsConfirmation: true,
+                    label: `Rename ${keyPath.path} → ${formatKeyPath(targetSegments)}`,
+                    description: vscode.workspace.asRelativePath(filePath)
+                });
+            });
+        }
+
+        if (conflicts.length > 0) {
+            throw new Error(`Cannot rename: ${formatKeyPath(targetSegments)} already exists in ${conflicts.join(', ')}`);
+        }
+
+        return edit;
+    }
+};
+
+/**
+ * Maximum number of values from other files listed in a key hover
+ */
+const HOVER_VALUE_LIMIT = 10;
+
+/**
+ * Builds a link opening a file at a 1-indexed line and column
+ * @param {string} filePath - The file
+ * @param {number} line - 1-indexed line
+ * @param {number} column - 1-indexed column
+ * @returns {string} URI usable in Markdown links
+ */
+function getLocationLink(filePath, line, column) {
+    return vscode.Uri.file(filePath).with({ fragment: `L${line},${column}` }).toString();
+}
+
+/**
+ * Shortens a value for display in a hover
+ * @param {*} value - The resolved value
+ * @returns {string} JSON text, truncated to 60 characters
+ */
+function formatHoverValue(value) {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Hover provider: on a key, shows its full dot path, how many files define it and
+ * the values it has elsewhere in the workspace
+ */
+const yamlKeyHoverProvider = {
+    async provideHover(document, position) {
+        const found = findKeyPathAtPosition(document, position);
+        if (!found || !found.onKey) {
+            return null;
+        }
+        const keyPath = found.keyPath;
+
+        await ensureKeyIndex();
+
+        const files = new Set(getIndexedFiles());
+        files.add(document.uri.fsPath);
+        const definitions = [];
+        const keyPathsByFile = new Map();
+        files.forEach(filePath => {
+            const keyPaths = filePath === document.uri.fsPath
+                ? readYamlKeyPaths(filePath, document.getText())
+                : getIndexedKeyPaths(filePath);
+            keyPathsByFile.set(filePath, keyPaths);
+            keyPaths
+                .filter(entry => segmentsEqual(entry.segments, keyPath.segments))
+                .forEach(entry => definitions.push(entry));
+        });
+
+        const fileCount = new Set(definitions.map(entry => entry.file)).size;
+        const elsewhere = definitions
+            .filter(entry => entry.file !== document.uri.fsPath || entry.documentIndex !== keyPath.documentIndex)
+            .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+        const displayNames = createSmartDisplayNames(elsewhere);
+
+        const markdown = new vscode.MarkdownString();
+        markdown.appendMarkdown(`**\`${keyPath.path}\`**\n\n`);
+        markdown.appendMarkdown(`Defined in ${fileCount} file${fileCount === 1 ? '' : 's'}\n\n`);
+        const effectiveValue = getEffectiveValue(keyPath);
+        if (effectiveValue !== null) {
+            markdown.appendMarkdown('Effective value: ');
+            markdown.appendText(formatHoverValue(effectiveValue));
+            markdown.appendMarkdown('\n\n');
+        }
+        if (keyPath.origin === 'alias' && keyPath.anchor.line > 0) {
+            markdown.appendMarkdown(`Alias of [&${keyPath.anchor.name}](${getLocationLink(keyPath.file, keyPath.anchor.line, keyPath.anchor.column)})\n\n`);
+        }
+
+        if (elsewhere.length > 0) {
+            markdown.appendMarkdown('Values elsewhere:\n\n');
+            elsewhere.slice(0, HOVER_VALUE_LIMIT).forEach(entry => {
+                const name = entry.file === document.uri.fsPath
+                    ? `this file, document ${entry.documentIndex + 1}`
+                    : `${displayNames[entry.file] || path.basename(entry.file)}:${entry.line}`;
+                const valueLine = entry.valueSpan ? entry.valueSpan.startLine : entry.line;
+                const valueColumn = entry.valueSpan ? entry.valueSpan.startColumn : entry.column;
+                markdown.appendMarkdown(`- [${name}](${getLocationLink(entry.file, valueLine, valueColumn)}) `);
+                markdown.appendText(formatHoverValue(getKeyPathValue(entry, keyPathsByFile.get(entry.file))));
+                const origin = describeValueOrigin(entry);
+                if (origin) {
+                    markdown.appendText(` · ${origin}`);
+                }
+                markdown.appendMarkdown('\n');
+            });
+            if (elsewhere.length > HOVER_VALUE_LIMIT) {
+                markdown.appendMarkdown(`- ...and ${elsewhere.length - HOVER_VALUE_LIMIT} more\n`);
+            }
+        }
+
+        return new vscode.Hover(markdown, spanToRange(keyPath.keySpan));
+    }
+};
+
+/**
+ * Compiles the configured key reference and binding patterns
+ * @returns {Array<{regex: RegExp, binding: boolean}>} Patterns whose first group captures a key
+ *   path; binding patterns (yamlKeySearch.bindingPatterns) read the whole subtree below it
+ */
+function getReferencePatterns() {
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    const compile = (setting, defaults, binding) => config.get(setting, defaults)
+        .map(pattern => {
+            try {
+                return { regex: new RegExp(pattern, 'gd'), binding };
+            } catch (error) {
+                console.warn(`Ignoring invalid yamlKeySearch.${setting} entry ${pattern}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+    return compile('referencePatterns', DEFAULT_REFERENCE_PATTERNS, false)
+        .concat(compile('bindingPatterns', DEFAULT_BINDING_PATTERNS, true));
+}
+
+/**
+ * Finds a key path reference (placeholder, config lookup, ...) at a position in code
+ * @param {vscode.TextDocument} document - The code document
+ * @param {vscode.Position} position - The cursor position
+ * @returns {{segments: Array<string|number>, range: vscode.Range}|null} The referenced path and its range
+ */
+function findKeyReferenceAt(document, position) {
+    const lineText = document.lineAt(position.line).text;
+
+    for (const { regex: pattern } of getReferencePatterns()) {
+        let match;
+        while ((match = pattern.exec(lineText)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (!match[1] || !match.indices[1]) {
+                continue;
+            }
+            const [start, end] = match.indices[1];
+            if (position.character < start || position.character > end) {
+                continue;
+            }
+            try {
+                return {
+                    segments: parseKeyPath(match[1]),
+                    range: new vscode.Range(position.line, start, position.line, end)
+                };
+            } catch (error) {
+                // Not a usable key path (e.g. contains wildcards)
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Definition provider for application code: Ctrl+Click on `${a.b}`, `config.get('a.b')`
+ * or `settings["a.b"]` jumps to the key in the workspace YAML files. In Helm templates,
+ * `.Values.a.b` jumps to the key in the chart's values files.
+ */
+const yamlKeyDefinitionProvider = {
+    async provideDefinition(document, position) {
+        const chartRoot = getHelmTemplateChart(document.uri.fsPath);
+        if (chartRoot) {
+            return provideHelmValueDefinition(document, position, chartRoot);
+        }
+        if (document.languageId === 'yaml') {
+            return null;
+        }
+        const reference = findKeyReferenceAt(document, position);
+        if (!reference) {
+            return null;
+        }
+
+        await ensureKeyIndex();
+
+        const locations = [];
+        getIndexedFiles().forEach(filePath => {
+            getIndexedKeyPaths(filePath)
+                .filter(entry => segmentsEqual(entry.segments, reference.segments) && isLocalKeyPath(entry))
+                .forEach(entry => locations.push({
+                    originSelectionRange: reference.range,
+                    targetUri: vscode.Uri.file(filePath),
+                    targetRange: spanToRange(entry.keySpan),
+                    targetSelectionRange: spanToRange(entry.keySpan)
+                }));
+        });
+        return locations;
+    }
+};
+
+/**
+ * Checks whether a file is application code or a Helm template to scan for key references
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True when the file matches yamlKeySearch.referenceFiles (or is a Helm template) and is not excluded
+ */
+function isReferenceSourceFile(filePath) {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    if (!folder) {
+        return false;
+    }
+
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    const relativePath = path.relative(folder.uri.fsPath, filePath).split(path.sep).join('/');
+    if (isExcludedFile(filePath)) {
+        return false;
+    }
+    return minimatch(relativePath, config.get('referenceFiles', DEFAULT_REFERENCE_FILES), { dot: true }) ||
+        getHelmTemplateChart(filePath) !== null;
+}
+
+/**
+ * Finds every key path reference in a source file
+ * @param {string} filePath - Path to the file
+ * @param {string} text - File content
+ * @returns {Array} {file, path, segments, line, startColumn, endColumn, binding} entries (1-indexed line, 0-indexed columns)
+ */
+function scanKeyReferences(filePath, text) {
+    const patterns = getReferencePatterns();
+    const references = [];
+
+    text.split('\n').forEach((lineText, lineIndex) => {
+        patterns.forEach(({ regex: pattern, binding }) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(lineText)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                if (!match[1] || !match.indices[1]) {
+                    continue;
+                }
+                try {
+                    const segments = parseKeyPath(match[1]);
+                    references.push({
+                        file: filePath,
+                        path: formatKeyPath(segments),
+                        segments,
+                        line: lineIndex + 1,
+                        startColumn: match.indices[1][0],
+                        endColumn: match.indices[1][1],
+                        binding
+                    });
+                } catch (error) {
+                    // Not a usable key path
+                }
+            }
+        });
+    });
+
+    return references;
+}
+
+/**
+ * (Re)scans a single source file for key references, reusing unchanged results
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<void>}
+ */
+async function indexReferenceFile(filePath) {
+    try {
+        const stats = await fs.promises.stat(filePath);
+        const cached = referenceIndex.files.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return;
+        }
+        referenceIndex.charts = null;
+        if (stats.size > MAX_REFERENCE_FILE_SIZE) {
+            referenceIndex.files.delete(filePath);
+            return;
+        }
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        const chartRoot = getHelmTemplateChart(filePath);
+        const references = chartRoot
+            ? scanHelmValueReferences(filePath, text, chartRoot)
+            : scanKeyReferences(filePath, text);
+        referenceIndex.files.set(filePath, { mtimeMs: stats.mtimeMs, references });
+    } catch (error) {
+        referenceIndex.charts = null;
+        referenceIndex.files.delete(filePath);
+    }
+}
+
+/**
+ * Rebuilds the reference index from every matching source file in the workspace
+ * @returns {Promise<void>} Resolves when the index is ready
+ */
+function buildReferenceIndex() {
+    referenceIndex.ready = (async () => {
+        const config = vscode.workspace.getConfiguration('yamlKeySearch');
+        const excludePatterns = config.get('excludePatterns', DEFAULT_EXCLUDE_PATTERNS);
+        const exclude = excludePatterns.length > 0 ? `{${excludePatterns.join(',')}}` : null;
+        const uris = [
+            ...await vscode.workspace.findFiles(config.get('referenceFiles', DEFAULT_REFERENCE_FILES), exclude),
+            ...await vscode.workspace.findFiles(HELM_TEMPLATE_FILES, exclude)
+        ];
+
+        referenceIndex.files.clear();
+        referenceIndex.charts = null;
+        for (const uri of uris) {
+            if (isReferenceSourceFile(uri.fsPath)) {
+                await indexReferenceFile(uri.fsPath);
+            }
+        }
+        console.log(`Indexed key references in ${referenceIndex.files.size} source files`);
+        if (referenceIndex.emitter) {
+            referenceIndex.emitter.fire();
+        }
+    })();
+    return referenceIndex.ready;
+}
+
+/**
+ * Waits for the reference index, building it on first use
+ * @returns {Promise<void>}
+ */
+function ensureReferenceIndex() {
+    return referenceIndex.ready || buildReferenceIndex();
+}
+
+/**
+ * Finds code references to a key: the key itself, a key inside its subtree, or a
+ * parent binding the whole subtree (e.g. @ConfigurationProperties(prefix = "a")).
+ * Ordinary references to a parent (`.get('id')`) do not count for the keys below it.
+ * @param {Array<string|number>} segments - Path of the key
+ * @param {string|null} [chartRoot] - Helm chart the key's file holds values for; .Values
+ *   references only count for their own chart
+ * @returns {Array} Matching references from scanKeyReferences() and scanHelmValueReferences()
+ */
+function findKeyReferences(segments, chartRoot = null) {
+    const references = [];
+    referenceIndex.files.forEach(entry => {
+        entry.references.forEach(reference => {
+            if (reference.chart && reference.chart !== chartRoot) {
+                return;
+            }
+            if (reference.segments.length < segments.length && !reference.binding) {
+                return;
+            }
+            const length = Math.min(reference.segments.length, segments.length);
+            if (segmentsEqual(reference.segments.slice(0, length), segments.slice(0, length))) {
+                references.push(reference);
+            }
+        });
+    });
+    return references;
+}
+
+/**
+ * Converts a code reference into a VS Code location
+ * @param {Object} reference - Entry from scanKeyReferences()
+ * @returns {vscode.Location} The location
+ */
+function referenceToLocation(reference) {
+    return new vscode.Location(
+        vscode.Uri.file(reference.file),
+        new vscode.Range(reference.line - 1, reference.startColumn, reference.line - 1, reference.endColumn)
+    );
+}
+
+/**
+ * Reference provider for YAML keys (Shift+F12): lists the code (and, for a chart's
+ * values files, the Helm templates) that reads the key
+ */
+const yamlKeyReferenceProvider = {
+    async provideReferences(document, position, context) {
+        const found = findKeyPathAtPosition(document, position);
+        if (!found) {
+            return null;
+        }
+        const segments = found.keyPath.segments;
+
+        await ensureReferenceIndex();
+        const locations = findKeyReferences(segments, getHelmValuesChart(document.uri.fsPath)).map(referenceToLocation);
+
+        if (context && context.includeDeclaration) {
+            await ensureKeyIndex();
+            getIndexedFiles().forEach(filePath => {
+                getIndexedKeyPaths(filePath)
+                    .filter(entry => segmentsEqual(entry.segments, segments) && isLocalKeyPath(entry))
+                    .forEach(entry => locations.push(new vscode.Location(vscode.Uri.file(filePath), spanToRange(entry.keySpan))));
+            });
+        }
+        return locations;
+    }
+};
+
+/**
+ * CodeLens provider showing "N references" in code above every YAML mapping key
+ */
+const yamlKeyReferenceCodeLensProvider = {
+    onDidChangeCodeLenses: undefined, // Set to the reference index emitter on activation
+
+    async provideCodeLenses(document) {
+        if (!vscode.workspace.getConfiguration('yamlKeySearch').get('referenceCodeLens', true)) {
+            return [];
+        }
+
+        await ensureReferenceIndex();
+
+        let keyPaths;
+        try {
+            keyPaths = getDocumentKeyPaths(document);
+        } catch (error) {
+            return [];
+        }
+        const chartRoot = getHelmValuesChart(document.uri.fsPath);
+
+        return keyPaths
+            .filter(entry => entry.keySpan && typeof entry.segments[entry.segments.length - 1] === 'string')
+            .map(entry => {
+                const locations = findKeyReferences(entry.segments, chartRoot).map(referenceToLocation);
+                const range = spanToRange(entry.keySpan);
+                const title = `${locations.length} reference${locations.length === 1 ? '' : 's'}`;
+                return new vscode.CodeLens(range, locations.length === 0
+                    ? { title, command: '' }
+                    : { title, command: 'editor.action.showReferences', arguments: [document.uri, range.start, locations] });
+            });
+    }
+};
+
+/**
+ * Watches application code so key references stay current
+ * @param {vscode.ExtensionContext} context
+ */
+function registerReferenceIndex(context) {
+    referenceIndex.emitter = new vscode.EventEmitter();
+    yamlKeyReferenceCodeLensProvider.onDidChangeCodeLenses = referenceIndex.emitter.event;
+
+    const onFileChanged = async uri => {
+        if (referenceIndex.ready && isReferenceSourceFile(uri.fsPath)) {
+            await indexReferenceFile(uri.fsPath);
+            referenceIndex.emitter.fire();
+        }
+    };
+
+    const onFileDeleted = uri => {
+        if (referenceIndex.files.delete(uri.fsPath)) {
+            referenceIndex.charts = null;
+            referenceIndex.emitter.fire();
+        }
+    };
+
+    const watchers = [
+        vscode.workspace.getConfiguration('yamlKeySearch').get('referenceFiles', DEFAULT_REFERENCE_FILES),
+        HELM_TEMPLATE_FILES
+    ].map(pattern => {
+        const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+        watcher.onDidCreate(onFileChanged);
+        watcher.onDidChange(onFileChanged);
+        watcher.onDidDelete(onFileDeleted);
+        return watcher;
+    });
+
+    context.subscriptions.push(
+        ...watchers,
+        referenceIndex.emitter,
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (referenceIndex.ready && (event.affectsConfiguration('yamlKeySearch.referencePatterns') ||
+                event.affectsConfiguration('yamlKeySearch.bindingPatterns') ||
+                event.affectsConfiguration('yamlKeySearch.referenceFiles') ||
+                event.affectsConfiguration('yamlKeySearch.excludePatterns'))) {
+                buildReferenceIndex();
+            }
+            if (event.affectsConfiguration('yamlKeySearch.referenceCodeLens')) {
+                referenceIndex.emitter.fire();
+            }
+        })
+    );
+}
+
+/**
+ * Finds the Helm chart a file belongs to: the nearest folder holding a Chart.yaml,
+ * without leaving the file's workspace folder
+ * @param {string} filePath - Absolute file path
+ * @returns {string|null} The chart's root folder, or null outside a chart
+ */
+function findHelmChartRoot(filePath) {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    if (!folder) {
+        return null;
+    }
+
+    let dir = path.dirname(filePath);
+    while (!path.relative(folder.uri.fsPath, dir).startsWith('..')) {
+        if (fs.existsSync(path.join(dir, 'Chart.yaml'))) {
+            return dir;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a file is a Helm template: it lives under a chart's templates/ folder
+ * @param {string} filePath - Absolute file path
+ * @returns {string|null} The chart's root folder, or null when the file is not a template
+ */
+function getHelmTemplateChart(filePath) {
+    const chartRoot = findHelmChartRoot(filePath);
+    if (!chartRoot || path.relative(chartRoot, filePath).split(path.sep)[0] !== 'templates') {
+        return null;
+    }
+    return chartRoot;
+}
+
+/**
+ * Checks whether a file is a Helm values file: values.yaml or an override such as
+ * values-prod.yaml next to a Chart.yaml
+ * @param {string} filePath - Absolute file path
+ * @returns {string|null} The chart's root folder, or null when the file holds no chart values
+ */
+function getHelmValuesChart(filePath) {
+    const chartRoot = path.dirname(filePath);
+    if (!/^values([-.].+)?\.ya?ml$/.test(path.basename(filePath)) || !fs.existsSync(path.join(chartRoot, 'Chart.yaml'))) {
+        return null;
+    }
+    return chartRoot;
+}
+
+/**
+ * Lists a chart's indexed values files, values.yaml first
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {Array<string>} Values file paths
+ */
+function getHelmValuesFiles(chartRoot) {
+    return getIndexedFiles('yaml')
+        .filter(filePath => getHelmValuesChart(filePath) === chartRoot)
+        .sort((a, b) => {
+            const aDefault = /^values\.ya?ml$/.test(path.basename(a));
+            const bDefault = /^values\.ya?ml$/.test(path.basename(b));
+            return aDefault !== bDefault ? (aDefault ? -1 : 1) : a.localeCompare(b);
+        });
+}
+
+/**
+ * Finds every .Values reference in a Helm template
+ * @param {string} filePath - Path to the template
+ * @param {string} text - Template content
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {Array} {file, path, segments, line, startColumn, endColumn, binding, chart} entries (1-indexed line,
+ *   0-indexed columns); a bare `.Values` has no segments and stands for every value
+ */
+function scanHelmValueReferences(filePath, text, chartRoot) {
+    const references = [];
+
+    text.split('\n').forEach((lineText, lineIndex) => {
+        HELM_VALUES_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = HELM_VALUES_PATTERN.exec(lineText)) !== null) {
+            const dotPath = match[2] !== undefined ? match[1] : match[3];
+            const segments = dotPath.split('.').filter(Boolean);
+            if (match[2] !== undefined) {
+                for (const quoted of match[2].matchAll(/"([^"\n]*)"/g)) {
+                    segments.push(quoted[1]);
+                }
+            }
+            references.push({
+                file: filePath,
+                path: formatKeyPath(segments),
+                segments,
+                line: lineIndex + 1,
+                startColumn: match.index,
+                endColumn: match.index + match[0].length,
+                // `toYaml .Values.resources` or `with .Values.db` hands on the whole subtree
+                binding: true,
+                chart: chartRoot
+            });
+        }
+    });
+
+    return references;
+}
+
+/**
+ * Resolves Ctrl+Click on a `.Values.a.b` expression in a Helm template to the key in
+ * the chart's values files. A key with no entry of its own (e.g. below `resources: {}`)
+ * resolves to its closest defined parent.
+ * @param {vscode.TextDocument} document - The template
+ * @param {vscode.Position} position - The cursor position
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {Promise<Array|null>} Location links into the values files
+ */
+async function provideHelmValueDefinition(document, position, chartRoot) {
+    const reference = scanHelmValueReferences(document.uri.fsPath, document.lineAt(position.line).text, chartRoot)
+        .find(candidate => candidate.segments.length > 0 &&
+            position.character >= candidate.startColumn && position.character <= candidate.endColumn);
+    if (!reference) {
+        return null;
+    }
+
+    await ensureKeyIndex();
+
+    const originSelectionRange = new vscode.Range(position.line, reference.startColumn, position.line, reference.endColumn);
+    const valuesFiles = getHelmValuesFiles(chartRoot);
+    for (let length = reference.segments.length; length > 0; length--) {
+        const segments = reference.segments.slice(0, length);
+        const locations = [];
+        valuesFiles.forEach(filePath => {
+            getIndexedKeyPaths(filePath)
+                .filter(entry => segmentsEqual(entry.segments, segments) && isLocalKeyPath(entry))
+                .forEach(entry => locations.push({
+                    originSelectionRange,
+                    targetUri: vscode.Uri.file(filePath),
+                    targetRange: spanToRange(entry.keySpan),
+                    targetSelectionRange: spanToRange(entry.keySpan)
+                }));
+        });
+        if (locations.length > 0) {
+            return locations;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the top-level values keys a chart hands to others rather than its own
+ * templates: `global` and the chart's dependencies (by alias or name)
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {Set<string>} Keys never flagged as unused
+ */
+function getHelmSubchartKeys(chartRoot) {
+    const stamp = ['Chart.yaml', 'charts']
+        .map(name => {
+            try {
+                return fs.statSync(path.join(chartRoot, name)).mtimeMs;
+            } catch (error) {
+                return 0;
+            }
+        })
+        .join(':');
+    const cached = referenceIndex.helmSubchartKeys.get(chartRoot);
+    if (cached && cached.stamp === stamp) {
+        return cached.keys;
+    }
+
+    const keys = new Set(['global']);
+
+    try {
+        const chart = yaml.parse(fs.readFileSync(path.join(chartRoot, 'Chart.yaml'), 'utf8'));
+        ((chart && chart.dependencies) || []).forEach(dependency => {
+            if (dependency && (dependency.alias || dependency.name)) {
+                keys.add(dependency.alias || dependency.name);
+            }
+        });
+    } catch (error) {
+        console.warn(`Failed to read ${path.join(chartRoot, 'Chart.yaml')}:`, error.message);
+    }
+
+    try {
+        fs.readdirSync(path.join(chartRoot, 'charts'), { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach(entry => keys.add(entry.name));
+    } catch (error) {
+        // No vendored subcharts
+    }
+
+    referenceIndex.helmSubchartKeys.set(chartRoot, { stamp, keys });
+    return keys;
+}
+
+/**
+ * Gets the key paths a chart's templates reference, grouped once per change of the
+ * reference index
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {{referenced: Set<string>, bound: Set<string>}} Paths referenced directly or through
+ *   a key below them, and paths whose whole subtree is handed on (`toYaml .Values.resources`)
+ */
+function getHelmChartReferences(chartRoot) {
+    if (!referenceIndex.charts) {
+        referenceIndex.charts = new Map();
+        referenceIndex.files.forEach(entry => {
+            entry.references.filter(reference => reference.chart).forEach(reference => {
+                if (!referenceIndex.charts.has(reference.chart)) {
+                    referenceIndex.charts.set(reference.chart, { referenced: new Set(), bound: new Set() });
+                }
+                const chart = referenceIndex.charts.get(reference.chart);
+                for (let length = 0; length <= reference.segments.length; length++) {
+                    chart.referenced.add(formatKeyPath(reference.segments.slice(0, length)));
+                }
+                chart.bound.add(reference.path);
+            });
+        });
+    }
+    return referenceIndex.charts.get(chartRoot) || { referenced: new Set(), bound: new Set() };
+}
+
+/**
+ * Computes unused value diagnostics for a Helm values file: keys that no template of
+ * the chart reads. Only the outermost unused key of a subtree is flagged.
+ * @param {vscode.TextDocument} document - The values file
+ * @param {string} chartRoot - The chart's root folder
+ * @returns {Array<vscode.Diagnostic>} The diagnostics
+ */
+function getHelmValueDiagnostics(document, chartRoot) {
+    let keyPaths;
+    try {
+        keyPaths = getDocumentKeyPaths(document);
+    } catch (error) {
+        return [];
+    }
+
+    const subchartKeys = getHelmSubchartKeys(chartRoot);
+    const { referenced, bound } = getHelmChartReferences(chartRoot);
+    const flagged = [];
+    const diagnostics = [];
+
+    keyPaths
+        .filter(entry => isLocalKeyPath(entry) && typeof entry.segments[entry.segments.length - 1] === 'string')
+        .forEach(entry => {
+            if (subchartKeys.has(entry.segments[0]) ||
+                flagged.some(segments => segmentsEqual(entry.segments.slice(0, segments.length), segments))) {
+                return;
+            }
+            if (referenced.has(entry.path) ||
+                entry.segments.some((segment, index) => bound.has(formatKeyPath(entry.segments.slice(0, index))))) {
+                return;
+            }
+
+            flagged.push(entry.segments);
+            const diagnostic = new vscode.Diagnostic(spanToRange(entry.keySpan),
+                `Unused value: no template in this chart references .Values.${entry.path}`,
+                vscode.DiagnosticSeverity.Information);
+            diagnostic.source = 'YAML Key Search';
+            diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+            diagnostics.push(diagnostic);
+        });
+    return diagnostics;
+}
+
+/**
+ * Keeps unused value diagnostics current for open Helm values files
+ * @param {vscode.ExtensionContext} context
+ */
+function registerHelmDiagnostics(context) {
+    const collection = vscode.languages.createDiagnosticCollection('yamlKeySearch.helm');
+    const timers = new Map();
+
+    const update = async document => {
+        const chartRoot = getHelmValuesChart(document.uri.fsPath);
+        if (!chartRoot) {
+            return;
+        }
+        if (!vscode.workspace.getConfiguration('yamlKeySearch').get('helmDiagnostics', true)) {
+            collection.delete(document.uri);
+            return;
+        }
+        await ensureReferenceIndex();
+        if (document.isClosed) {
+            return;
+        }
+        collection.set(document.uri, getHelmValueDiagnostics(document, chartRoot));
+    };
+    const updateLater = document => {
+        clearTimeout(timers.get(document.uri.toString()));
+        timers.set(document.uri.toString(), setTimeout(() => update(document), 300));
+    };
+    const updateAll = () => vscode.workspace.textDocuments.forEach(updateLater);
+
+    context.subscriptions.push(
+        collection,
+        vscode.workspace.onDidOpenTextDocument(updateLater),
+        vscode.workspace.onDidChangeTextDocument(event => updateLater(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => collection.delete(document.uri)),
+        // Templates changed
+        referenceIndex.emitter.event(updateAll),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yamlKeySearch.helmDiagnostics')) {
+                updateAll();
+            }
+        }),
+        {
+            dispose: () => timers.forEach(timer => clearTimeout(timer))
+        }
+    );
+
+    updateAll();
+}
+
+/**
+ * Finds the top-level `${name}` / `${name:default}` placeholders in a text (nested
+ * placeholders inside defaults are left to resolvePlaceholders())
+ * @param {string} text - The text to scan
+ * @returns {Array<{start: number, end: number, name: string, defaultValue: string|undefined}>} Placeholders with offsets into text
+ */
+function findPlaceholders(text) {
+    const placeholders = [];
+    let index = text.indexOf('${');
+
+    while (index !== -1) {
+        // Find the matching closing brace, allowing nested placeholders in the default
+        let depth = 0;
+        let end = -1;
+        for (let i = index; i < text.length; i++) {
+            if (text[i] === '$' && text[i + 1] === '{') {
+                depth++;
+                i++;
+            } else if (text[i] === '}') {
+                depth--;
+                if (depth === 0) {
+                    end = i + 1;
+                    break;
+                }
+            }
+        }
+        if (end === -1) {
+            break;
+        }
+
+        const body = text.slice(index + 2, end - 1);
+        const separator = body.indexOf(':');
+        placeholders.push({
+            start: index,
+            end: end,
+            name: (separator === -1 ? body : body.slice(0, separator)).trim(),
+            defaultValue: separator === -1 ? undefined : body.slice(separator + 1)
+        });
+        index = text.indexOf('${', end);
+    }
+
+    return placeholders;
+}
+
+/**
+ * Reads the configured .env file (yamlKeySearch.envFile), reusing it while unchanged
+ * @returns {Map<string, string>} Variable names to values
+ */
+function readEnvFile() {
+    const setting = vscode.workspace.getConfiguration('yamlKeySearch').get('envFile', '.env');
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!setting || !workspaceFolders) {
+        return new Map();
+    }
+    const envPath = path.isAbsolute(setting) ? setting : path.join(workspaceFolders[0].uri.fsPath, setting);
+
+    try {
+        const stats = fs.statSync(envPath);
+        if (envFileCache.path === envPath && envFileCache.mtimeMs === stats.mtimeMs) {
+            return envFileCache.variables;
+        }
+
+        // Same parser as the indexed .env files, so placeholders and search agree on values
+        const variables = new Map();
+        readEnvKeyPaths(envPath, fs.readFileSync(envPath, 'utf8'))
+            .forEach(entry => variables.set(entry.key, entry.value));
+
+        envFileCache.path = envPath;
+        envFileCache.mtimeMs = stats.mtimeMs;
+        envFileCache.variables = variables;
+        return variables;
+    } catch (error) {
+        return new Map();
+    }
+}
+
+/**
+ * Finds the key a placeholder refers to: in the same document first, then the same
+ * file, then the other workspace YAML files
+ * @param {string} name - The placeholder name (a dot path)
+ * @param {Object} context - {file, documentIndex, keyPaths} of the value holding the placeholder
+ * @returns {Object|null} The key path entry, or null when no key has that path
+ */
+function findPlaceholderTarget(name, context) {
+    let segments;
+    try {
+        segments = parseKeyPath(name);
+    } catch (error) {
+        return null;
+    }
+
+    const matches = entry => segmentsEqual(entry.segments, segments);
+    const local = context.keyPaths.filter(matches);
+    const sameDocument = local.find(entry => entry.documentIndex === context.documentIndex);
+    if (sameDocument || local.length > 0) {
+        return sameDocument || local[0];
+    }
+
+    const elsewhere = (keyIndex.byPath.get(formatKeyPath(segments)) || [])
+        .filter(entry => entry.file !== context.file);
+    if (elsewhere.length === 0) {
+        return null;
+    }
+    // Files in path order, then the first definition in the file
+    return elsewhere.reduce((first, entry) => entry.file.localeCompare(first.file) < 0 ? entry : first);
+}
+
+/**
+ * Resolves the placeholders in a value: a key defined in the workspace first, then the
+ * .env file (as-is or in environment variable form), then the default. Unlike Spring,
+ * where real environment variables outrank application YAML, the workspace files win,
+ * since the .env file usually only supplies values they leave open.
+ * @param {string} text - The raw value
+ * @param {Object} context - {file, documentIndex, keyPaths} of the value
+ * @param {Array<string>} stack - Names being resolved (for cycle detection)
+ * @returns {{value: string, unresolved: Array<string>, circular: Array<string>}} The effective value and problems found
+ */
+function resolvePlaceholders(text, context, stack = []) {
+    const result = { value: '', unresolved: [], circular: [] };
+    const env = readEnvFile();
+    let position = 0;
+
+    findPlaceholders(text).forEach(placeholder => {
+        result.value += text.slice(position, placeholder.start);
+        position = placeholder.end;
+        const raw = text.slice(placeholder.start, placeholder.end);
+        const name = placeholder.name;
+
+        if (stack.includes(name)) {
+            result.circular.push(stack.concat(name).join(' → '));
+            result.value += raw;
+            return;
+        }
+
+        const merge = inner => {
+            result.unresolved.push(...inner.unresolved);
+            result.circular.push(...inner.circular);
+            result.value += inner.value;
+        };
+
+        const target = findPlaceholderTarget(name, context);
+        if (target && !target.collection) {
+            const targetContext = target.file === context.file
+                ? context
+                : { file: target.file, documentIndex: target.documentIndex, keyPaths: getIndexedKeyPaths(target.file) };
+            merge(resolvePlaceholders(target.value === null ? '' : String(target.value), targetContext, stack.concat(name)));
+            return;
+        }
+
+        let envName = name;
+        try {
+            envName = formatKeyPathAs(parseKeyPath(name), 'env');
+        } catch (error) {
+            // Not a dot path; only the name itself can match
+        }
+        if (env.has(name) || env.has(envName)) {
+            result.value += env.has(name) ? env.get(name) : env.get(envName);
+            return;
+        }
+
+        if (placeholder.defaultValue !== undefined) {
+            merge(resolvePlaceholders(placeholder.defaultValue, context, stack.concat(name)));
+            return;
+        }
+
+        result.unresolved.push(name);
+        result.value += raw;
+    });
+
+    result.value += text.slice(position);
+    return result;
+}
+
+/**
+ * Computes the effective value of a search result whose value contains placeholders
+ * @param {Object} result - A search result or key path entry
+ * @returns {string|null} The resolved value, or null when there is nothing to resolve
+ */
+function getEffectiveValue(result) {
+    if (typeof result.value !== 'string' || !result.value.includes('${')) {
+        return null;
+    }
+    const resolved = resolvePlaceholders(result.value, {
+        file: result.file,
+        documentIndex: result.documentIndex,
+        keyPaths: getIndexedKeyPaths(result.file)
+    });
+    return resolved.value !== result.value ? resolved.value : null;
+}
+
+/**
+ * Lists the placeholders written in a document's values, with their position in the file
+ * @param {string} content - Document text
+ * @param {Array} keyPaths - Entries from readYamlKeyPaths() for the content
+ * @returns {Array} {entry, placeholder, start, end} with file offsets
+ */
+function findDocumentPlaceholders(content, keyPaths) {
+    const found = [];
+    keyPaths.forEach(entry => {
+        if (typeof entry.value !== 'string' || !entry.valueSpan) {
+            return;
+        }
+        const source = content.slice(entry.valueSpan.start, entry.valueSpan.end);
+        findPlaceholders(source).forEach(placeholder => {
+            found.push({
+                entry,
+                placeholder,
+                start: entry.valueSpan.start + placeholder.start,
+                end: entry.valueSpan.start + placeholder.end
+            });
+        });
+    });
+    return found;
+}
+
+/**
+ * Document link provider: makes `${a.b}` placeholders in YAML values Ctrl+Clickable
+ */
+const yamlPlaceholderLinkProvider = {
+    provideDocumentLinks(document) {
+        let keyPaths;
+        try {
+            keyPaths = getDocumentKeyPaths(document);
+        } catch (error) {
+            return [];
+        }
+
+        const content = document.getText();
+        const links = [];
+        findDocumentPlaceholders(content, keyPaths).forEach(item => {
+            const target = findPlaceholderTarget(item.placeholder.name, {
+                file: document.uri.fsPath,
+                documentIndex: item.entry.documentIndex,
+                keyPaths
+            });
+            if (!target) {
+                return;
+            }
+            // Link only the name, so the default stays editable with a plain click
+            const nameStart = item.start + 2 + content.slice(item.start + 2, item.end).indexOf(item.placeholder.name);
+            const link = new vscode.DocumentLink(
+                new vscode.Range(document.positionAt(nameStart), document.positionAt(nameStart + item.placeholder.name.length)),
+                vscode.Uri.parse(getLocationLink(target.file, target.line, target.column))
+            );
+            link.tooltip = `Go to ${target.path} in ${path.basename(target.file)}`;
+            links.push(link);
+        });
+        return links;
+    }
+};
+
+/**
+ * Computes placeholder diagnostics for a YAML document: unresolved and circular references
+ * @param {vscode.TextDocument} document - The YAML document
+ * @returns {Array<vscode.Diagnostic>} The diagnostics
+ */
+function getPlaceholderDiagnostics(document) {
+    let keyPaths;
+    try {
+        keyPaths = getDocumentKeyPaths(document);
+    } catch (error) {
+        return [];
+    }
+
+    const text = document.getText();
+    const diagnostics = [];
+    findDocumentPlaceholders(text, keyPaths).forEach(item => {
+        const raw = text.slice(item.start, item.end);
+        const resolved = resolvePlaceholders(raw, {
+            file: document.uri.fsPath,
+            documentIndex: item.entry.documentIndex,
+            keyPaths
+        }, [item.entry.path]);
+        const range = new vscode.Range(document.positionAt(item.start), document.positionAt(item.end));
+
+        if (resolved.circular.length > 0) {
+            const diagnostic = new vscode.Diagnostic(range, `Circular placeholder reference: ${resolved.circular[0]}`, vscode.DiagnosticSeverity.Error);
+            diagnostic.source = 'YAML Key Search';
+            diagnostics.push(diagnostic);
+        } else if (resolved.unresolved.length > 0) {
+            const diagnostic = new vscode.Diagnostic(range, `Unresolved placeholder: \${${resolved.unresolved[0]}} is not defined in any YAML file or the .env file`, vscode.DiagnosticSeverity.Warning);
+            diagnostic.source = 'YAML Key Search';
+            diagnostics.push(diagnostic);
+        }
+    });
+    return diagnostics;
+}
+
+/**
+ * Keeps placeholder diagnostics current for open YAML documents
+ * @param {vscode.ExtensionContext} context
+ */
+function registerPlaceholderDiagnostics(context) {
+    const collection = vscode.languages.createDiagnosticCollection('yamlKeySearch.placeholders');
+    const timers = new Map();
+
+    const update = document => {
+        if (document.languageId !== 'yaml') {
+            return;
+        }
+        if (!vscode.workspace.getConfiguration('yamlKeySearch').get('placeholderDiagnostics', true)) {
+            collection.delete(document.uri);
+            return;
+        }
+        collection.set(document.uri, getPlaceholderDiagnostics(document));
+    };
+    const updateLater = document => {
+        clearTimeout(timers.get(document.uri.toString()));
+        timers.set(document.uri.toString(), setTimeout(() => update(document), 300));
+    };
+    // Other files (and the .env file) may define what a placeholder refers to
+    const updateAll = () => vscode.workspace.textDocuments.forEach(updateLater);
+
+    context.subscriptions.push(
+        collection,
+        vscode.workspace.onDidOpenTextDocument(updateLater),
+        vscode.workspace.onDidChangeTextDocument(event => updateLater(event.document)),
+        vscode.workspace.onDidSaveTextDocument(updateAll),
+        vscode.workspace.onDidCloseTextDocument(document => collection.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yamlKeySearch.placeholderDiagnostics') ||
+                event.affectsConfiguration('yamlKeySearch.envFile')) {
+                updateAll();
+            }
+        }),
+        {
+            dispose: () => timers.forEach(timer => clearTimeout(timer))
+        }
+    );
+
+    // Resolution needs the other files, so wait for the key index
+    ensureKeyIndex().then(updateAll);
+}
+
+/**
+ * Parses a concrete dot path (no wildcards) into key path segments
+ * @param {string} keyPathText - Path such as `database.pool` or `servers[0].host`
+ * @returns {Array<string|number>} Key path segments
+ */
+function parseKeyPath(keyPathText) {
+    const segments = splitQuerySegments(keyPathText.trim()).map(token => {
+        if (token.type === 'index') {
+            if (token.index === '*') {
+                throw new Error(`Wildcards are not allowed in "${keyPathText}"`);
+            }
+            return token.index;
+        }
+        if (token.type === 'key' && /[*{}]/.test(token.text)) {
+            throw new Error(`Wildcards are not allowed in "${keyPathText}"`);
+        }
+        return token.text;
+    });
+
+    if (segments.length === 0) {
+        throw new Error('The key path cannot be empty');
+    }
+    return segments;
+}
+
+/**
+ * Gets the indentation (number of leading spaces) of a line
+ * @param {string} line - The line text
+ * @returns {number} Indentation width
+ */
+function getIndentation(line) {
+    return line.length - line.trimStart().length;
+}
+
+/**
+ * Detects the indentation step used in a file (defaults to 2 spaces)
+ * @param {Array<string>} lines - File lines
+ * @returns {number} Indentation step
+ */
+function detectIndentUnit(lines) {
+    let unit = 0;
+    lines.forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+        const indent = getIndentation(line);
+        if (indent > 0 && (unit === 0 || indent < unit)) {
+            unit = indent;
+        }
+    });
+    return unit || 2;
+}
+
+/**
+ * Gets the raw text of a key's value as written in the file
+ * @param {string} content - File content
+ * @param {Object} keyPath - Entry from extractKeyPaths()
+ * @returns {string} The value source text ('' for empty values)
+ */
+function getValueSource(content, keyPath) {
+    return keyPath.valueSpan ? content.slice(keyPath.valueSpan.start, keyPath.valueSpan.end) : '';
+}
+
+/**
+ * Finds the lines making up a block-style key: attached comments above it, the key
+ * line and every more-indented line of its value
+ * @param {Array<string>} lines - File lines
+ * @param {Object} keyPath - Entry from extractKeyPaths()
+ * @returns {{startLine: number, keyLine: number, endLine: number, indent: number}} 0-indexed line numbers
+ */
+function getKeyBlock(lines, keyPath) {
+    const keyLine = keyPath.keySpan.startLine - 1;
+    const indent = keyPath.keySpan.startColumn - 1;
+
+    if (lines[keyLine].slice(0, indent).trim() !== '') {
+        throw new Error(`${keyPath.path} is inside a sequence item or flow collection`);
+    }
+
+    let endLine = keyLine;
+    if (keyPath.valueSpan) {
+        // A value ending at column 1 actually ended on the previous line
+        const valueEndLine = keyPath.valueSpan.endColumn === 1 ? keyPath.valueSpan.endLine - 2 : keyPath.valueSpan.endLine - 1;
+        endLine = Math.max(endLine, valueEndLine);
+    }
+    for (let i = endLine + 1; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        if (getIndentation(lines[i]) <= indent) {
+            break;
+        }
+        endLine = i;
+    }
+
+    // Comments directly above the key, at the key's indentation, belong to it
+    let startLine = keyLine;
+    while (startLine > 0 && lines[startLine - 1].trim().startsWith('#') && getIndentation(lines[startLine - 1]) === indent) {
+        startLine--;
+    }
+
+    return { startLine, keyLine, endLine, indent };
+}
+
+/**
+ * Shifts block lines from one indentation to another
+ * @param {Array<string>} blockLines - Lines to re-indent
+ * @param {number} fromIndent - Current indentation of the block
+ * @param {number} toIndent - Target indentation
+ * @returns {Array<string>} Re-indented lines
+ */
+function reindentLines(blockLines, fromIndent, toIndent) {
+    const delta = toIndent - fromIndent;
+    return blockLines.map(line => {
+        if (!line.trim()) {
+            return line.trim();
+        }
+        if (delta >= 0) {
+            return ' '.repeat(delta) + line;
+        }
+        return line.slice(Math.min(-delta, getIndentation(line)));
+    });
+}
+
+/**
+ * Works out where a new key can be inserted in a document: the deepest existing
+ * mapping on the way to the target path, and which parent keys still need creating
+ * @param {string} content - File content
+ * @param {Array} keyPaths - Entries from readYamlKeyPaths() for the content
+ * @param {number} documentIndex - The document to insert into
+ * @param {Array<string|number>} targetSegments - Path of the key to insert
+ * @param {string|null} precedingKey - Sibling to insert after (null for first); appended at the end when undefined
+ * @returns {{afterLine: number, indent: number, missing: Array<string>}} Insert after `afterLine` at `indent`, creating `missing` parents first
+ */
+function findInsertionPoint(content, keyPaths, documentIndex, targetSegments, precedingKey = undefined) {
+    const lines = content.split('\n');
+    const docPaths = keyPaths.filter(entry => entry.documentIndex === documentIndex && isLocalKeyPath(entry));
+    const indentUnit = detectIndentUnit(lines);
+
+    let depth = targetSegments.length - 1;
+    let parent = null;
+    while (depth > 0) {
+        const prefix = targetSegments.slice(0, depth);
+        parent = docPaths.find(entry => segmentsEqual(entry.segments, prefix));
+        if (parent) {
+            break;
+        }
+        depth--;
+    }
+
+    const missing = targetSegments.slice(depth, -1);
+    if (missing.some(segment => typeof segment === 'number')) {
+        throw new Error(`Cannot create sequence items for ${formatKeyPath(targetSegments)}`);
+    }
+
+    const children = docPaths.filter(entry => entry.segments.length === depth + 1 &&
+        segmentsEqual(entry.segments.slice(0, depth), targetSegments.slice(0, depth)));
+
+    if (!parent) {
+        if (children.length === 0) {
+            if (content.trim() !== '') {
+                throw new Error(`Document ${documentIndex + 1} has no mapping to add keys to`);
+            }
+            return { afterLine: -1, indent: 0, missing };
+        }
+        if (typeof children[0].segments[0] === 'number') {
+            throw new Error(`Document ${documentIndex + 1} is a sequence, not a mapping`);
+        }
+        const afterLine = findSiblingInsertionLine(lines, children, missing.length === 0 ? precedingKey : undefined);
+        return { afterLine, indent: children[0].column - 1, missing };
+    }
+
+    const valueSource = getValueSource(content, parent).trim();
+    const isEmpty = valueSource === '' || valueSource.startsWith('#');
+    if (!isEmpty && parent.collection !== 'map') {
+        throw new Error(`${parent.path} holds a value, not a mapping`);
+    }
+    if (valueSource.startsWith('{')) {
+        throw new Error(`${parent.path} is a flow mapping`);
+    }
+
+    const parentBlock = getKeyBlock(lines, parent);
+    if (children.length === 0) {
+        return { afterLine: parentBlock.endLine, indent: parentBlock.indent + indentUnit, missing };
+    }
+    const afterLine = findSiblingInsertionLine(lines, children, missing.length === 0 ? precedingKey : undefined);
+    return { afterLine, indent: children[0].column - 1, missing };
+}
+
+/**
+ * Picks the line to insert a new key after among existing siblings
+ * @param {Array<string>} lines - File lines
+ * @param {Array} children - Sibling key path entries, in document order
+ * @param {string|null} precedingKey - Sibling to insert after (null for first); the last sibling when undefined or absent
+ * @returns {number} 0-indexed line to insert after
+ */
+function findSiblingInsertionLine(lines, children, precedingKey) {
+    if (precedingKey === null) {
+        return getKeyBlock(lines, children[0]).startLine - 1;
+    }
+    const sibling = precedingKey !== undefined && children.find(child => child.key === precedingKey);
+    return getKeyBlock(lines, sibling || children[children.length - 1]).endLine;
+}
+
+/**
+ * Builds the lines for a key block at a new location, creating missing parent keys
+ * @param {Array<string>} blockLines - The key block, including any comments above the key
+ * @param {number} blockIndent - Current indentation of the block's key
+ * @param {Object} insertion - Result of findInsertionPoint()
+ * @param {number} indentUnit - Indentation step of the file
+ * @returns {Array<string>} Lines to insert
+ */
+function buildInsertionLines(blockLines, blockIndent, insertion, indentUnit) {
+    const parentLines = insertion.missing.map((segment, index) =>
+        `${' '.repeat(insertion.indent + index * indentUnit)}${formatYamlKey(String(segment), String(segment))}:`);
+    const keyIndent = insertion.indent + insertion.missing.length * indentUnit;
+    return parentLines.concat(reindentLines(blockLines, blockIndent, keyIndent));
+}
+
+/**
+ * Removes mapping keys left empty by an edit, walking up from a path
+ * @param {string} content - File content
+ * @param {number} documentIndex - The document that was edited
+ * @param {Array<string|number>} segments - Path whose ancestors may now be empty
+ * @param {Array<string|number>} keepSegments - Path whose ancestors must be kept (optional)
+ * @returns {string} Content with empty parents removed
+ */
+function pruneEmptyParents(content, documentIndex, segments, keepSegments = []) {
+    for (let depth = segments.length - 1; depth > 0; depth--) {
+        const prefix = segments.slice(0, depth);
+        if (segmentsEqual(prefix, keepSegments.slice(0, depth))) {
+            break;
+        }
+
+        const keyPaths = readYamlKeyPaths('', content).filter(isLocalKeyPath);
+        const parent = keyPaths.find(entry => entry.documentIndex === documentIndex && segmentsEqual(entry.segments, prefix));
+        const valueSource = parent ? getValueSource(content, parent).trim() : 'missing';
+        if (valueSource !== '' || typeof prefix[prefix.length - 1] === 'number') {
+            break;
+        }
+
+        const lines = content.split('\n');
+        let block;
+        try {
+            block = getKeyBlock(lines, parent);
+        } catch (error) {
+            break; // Parents that start a sequence item stay, the item would be left malformed
+        }
+        lines.splice(block.startLine, block.endLine - block.startLine + 1);
+        content = lines.join('\n');
+    }
+    return content;
+}
+
+/**
+ * Moves a key (with its nested block and comments) to a new path in every document of a file
+ * @param {string} content - File content
+ * @param {Array<string|number>} sourceSegments - Path of the key to move
+ * @param {Array<string|number>} targetSegments - Destination path
+ * @returns {{content: string, moved: number}} The new content and number of documents changed
+ */
+function moveKeyInContent(content, sourceSegments, targetSegments) {
+    let moved = 0;
+    const handled = new Set();
+
+    for (;;) {
+        const keyPaths = readYamlKeyPaths('', content);
+        const source = keyPaths.find(entry => segmentsEqual(entry.segments, sourceSegments) && isLocalKeyPath(entry) &&
+            !handled.has(entry.documentIndex));
+        if (!source) {
+            break;
+        }
+        const documentIndex = source.documentIndex;
+        handled.add(documentIndex);
+
+        if (keyPaths.some(entry => entry.documentIndex === documentIndex && segmentsEqual(entry.segments, targetSegments))) {
+            throw new Error(`${formatKeyPath(targetSegments)} already exists`);
+        }
+
+        // Cut the block out of its current location
+        let lines = content.split('\n');
+        const indentUnit = detectIndentUnit(lines);
+        const block = getKeyBlock(lines, source);
+        const blockLines = lines.slice(block.startLine, block.endLine + 1);
+        const keyLineIndex = block.keyLine - block.startLine;
+        const keyLine = blockLines[keyLineIndex];
+        const keyStart = source.keySpan.startColumn - 1;
+        const keyEnd = source.keySpan.endLine === source.keySpan.startLine ? source.keySpan.endColumn - 1 : keyLine.length;
+        const newKey = targetSegments[targetSegments.length - 1];
+        blockLines[keyLineIndex] = keyLine.slice(0, keyStart) +
+            formatYamlKey(String(newKey), keyLine.slice(keyStart, keyEnd)) + keyLine.slice(keyEnd);
+        lines.splice(block.startLine, block.endLine - block.startLine + 1);
+        content = lines.join('\n');
+
+        // Insert it under the destination parent, creating missing parents
+        const insertion = findInsertionPoint(content, readYamlKeyPaths('', content), documentIndex, targetSegments);
+        lines = content.split('\n');
+        lines.splice(insertion.afterLine + 1, 0, ...buildInsertionLines(blockLines, block.indent, insertion, indentUnit));
+        content = lines.join('\n');
+
+        content = pruneEmptyParents(content, documentIndex, sourceSegments, targetSegments);
+        moved++;
+    }
+
+    return { content, moved };
+}
+
+/**
+ * Moves a key subtree to a new path in every YAML file that has it
+ * @param {string} sourcePath - Dot path of the key to move
+ * @param {string} targetPath - Destination dot path
+ */
+async function moveYamlKey(sourcePath, targetPath) {
+    let sourceSegments;
+    let targetSegments;
+    try {
+        sourceSegments = parseKeyPath(sourcePath);
+        targetSegments = parseKeyPath(targetPath);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Invalid key path: ${error.message}`);
+        return;
+    }
+
+    if (typeof sourceSegments[sourceSegments.length - 1] === 'number' || typeof targetSegments[targetSegments.length - 1] === 'number') {
+        vscode.window.showErrorMessage('Only mapping keys can be moved, not sequence items');
+        return;
+    }
+    if (segmentsEqual(targetSegments.slice(0, sourceSegments.length), sourceSegments)) {
+        vscode.window.showErrorMessage(`Cannot move ${formatKeyPath(sourceSegments)} into itself`);
+        return;
+    }
+
+    await ensureKeyIndex();
+
+    const files = getIndexedFiles('yaml').filter(filePath =>
+        getIndexedKeyPaths(filePath).some(entry => segmentsEqual(entry.segments, sourceSegments) && isLocalKeyPath(entry)));
+    if (files.length === 0) {
+        vscode.window.showInformationMessage(`No matches found for key: ${formatKeyPath(sourceSegments)}`);
+        return;
+    }
+
+    // Work out every file's new content first, so a conflict anywhere leaves all files untouched
+    const changes = [];
+    const errors = [];
+    files.forEach(filePath => {
+        try {
+            const content = readFileContent(filePath);
+            const result = moveKeyInContent(content, sourceSegments, targetSegments);
+            changes.push({ file: filePath, content, newContent: result.content });
+        } catch (error) {
+            errors.push(`${vscode.workspace.asRelativePath(filePath)}: ${error.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        vscode.window.showErrorMessage(
+            `Cannot move ${formatKeyPath(sourceSegments)} to ${formatKeyPath(targetSegments)}. No files were changed.\n${errors.join('\n')}`,
+            { modal: true }
+        );
+        return;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+        `Move ${formatKeyPath(sourceSegments)} to ${formatKeyPath(targetSegments)} in ${changes.length} file(s)?`,
+        { modal: true },
+        'Move'
+    );
+    if (choice !== 'Move') {
+        return;
+    }
+
+    try {
+        await applyFileChanges(changes);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error moving ${formatKeyPath(sourceSegments)}: ${error.message}`);
+        return;
+    }
+
+    vscode.window.showInformationMessage(
+        `Moved ${formatKeyPath(sourceSegments)} to ${formatKeyPath(targetSegments)} in ${changes.length} file(s).`
+    );
+}
+
+/**
+ * Deletes every key matching a path query from a file's content, with its nested
+ * block, multi-line value and attached comments
+ * @param {string} content - File content
+ * @param {Object} query - Query from compilePathQuery()
+ * @param {boolean} pruneParents - Whether to remove parent mappings left empty
+ * @returns {{content: string, deleted: Array<string>, errors: Array<string>}} New content, deleted paths and keys that could not be removed
+ */
+function deleteKeysFromContent(content, query, pruneParents) {
+    const deleted = [];
+    const errors = [];
+    const skipped = new Set();
+
+    for (;;) {
+        // Re-parse after every deletion, since line numbers shift
+        const keyPaths = readYamlKeyPaths('', content).filter(isLocalKeyPath);
+        const target = keyPaths.find(entry => {
+            const match = matchKeyPath(query, entry);
+            return match && match.isExactMatch && !skipped.has(`${entry.documentIndex}:${entry.path}`);
+        });
+        if (!target) {
+            break;
+        }
+
+        const lines = content.split('\n');
+        let block;
+        try {
+            if (typeof target.segments[target.segments.length - 1] === 'number') {
+                throw new Error(`${target.path} is a sequence item`);
+            }
+            block = getKeyBlock(lines, target);
+        } catch (error) {
+            skipped.add(`${target.documentIndex}:${target.path}`);
+            errors.push(error.message);
+            continue;
+        }
+
+        lines.splice(block.startLine, block.endLine - block.startLine + 1);
+        content = lines.join('\n');
+        deleted.push(target.path);
+
+        if (pruneParents) {
+            content = pruneEmptyParents(content, target.documentIndex, target.segments);
+        }
+    }
+
+    return { content, deleted, errors };
+}
+
+/**
+ * Deletes a key (or every key matching a query) across the workspace after the user
+ * picks the affected files
+ * @param {string} searchKey - Exact dot path or path query
+ */
+async function deleteYamlKey(searchKey) {
+    const query = compilePathQuery(searchKey);
+
+    await ensureKeyIndex();
+
+    const affected = getIndexedFiles('yaml')
+        .map(filePath => ({
+            file: filePath,
+            paths: getIndexedKeyPaths(filePath)
+                .filter(entry => {
+                    const match = matchKeyPath(query, entry);
+                    return match && match.isExactMatch && isLocalKeyPath(entry);
+                })
+                .map(entry => entry.path)
+        }))
+        .filter(item => item.paths.length > 0)
+        .sort((a, b) => a.file.localeCompare(b.file));
+
+    if (affected.length === 0) {
+        vscode.window.showInformationMessage(`No matches found for key: ${searchKey}`);
+        return;
+    }
+
+    const fileItems = affected.map(item => ({
+        label: `$(file) ${getSmartDisplayName(item.file, affected)}`,
+        description: vscode.workspace.asRelativePath(item.file),
+        detail: Array.from(new Set(item.paths)).join(', '),
+        picked: true,
+        file: item.file
+    }));
+
+    const selection = await vscode.window.showQuickPick(fileItems, {
+        placeHolder: `Select the files to delete "${searchKey}" from`,
+        canPickMany: true,
+        matchOnDescription: true
+    });
+    if (!selection || selection.length === 0) {
+        return;
+    }
+
+    const pruneChoice = await vscode.window.showQuickPick([
+        { label: 'Remove parents left empty', prune: true },
+        { label: 'Keep empty parents', prune: false }
+    ], {
+        placeHolder: 'What should happen to parent keys that end up empty?'
+    });
+    if (!pruneChoice) {
+        return;
+    }
+
+    let totalDeleted = 0;
+    const errors = [];
+    const fileChanges = [];
+    for (const item of selection) {
+        try {
+            const content = readFileContent(item.file);
+            const result = deleteKeysFromContent(content, query, pruneChoice.prune);
+            result.errors.forEach(error => errors.push(`${path.basename(item.file)}: ${error}`));
+
+            if (result.deleted.length > 0) {
+                fileChanges.push({ file: item.file, content, newContent: result.content });
+                totalDeleted += result.deleted.length;
+            }
+        } catch (error) {
+            errors.push(`${path.basename(item.file)}: ${error.message}`);
+        }
+    }
+
+    try {
+        await applyFileChanges(fileChanges);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error deleting ${searchKey}: ${error.message}`);
+        return;
+    }
+
+    if (errors.length > 0) {
+        vscode.window.showWarningMessage(
+            `Deleted ${totalDeleted} key(s). ${errors.length} could not be deleted.`,
+            'Show Errors'
+        ).then(choice => {
+            if (choice === 'Show Errors') {
+                vscode.window.showErrorMessage(errors.join('\n'));
+            }
+        });
+    } else {
+        vscode.window.showInformationMessage(`Deleted ${totalDeleted} key(s) from ${selection.length} file(s).`);
+    }
+}
+
+/**
+ * Escapes text for safe use inside webview HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a plain value typed by the user as a YAML scalar
+ * @param {string} value - The value as typed
+ * @returns {string} YAML scalar text
+ */
+function formatNewScalar(value) {
+    return value === '' ? "''" : formatInlineScalar(value, 'PLAIN', '', false);
+}
+
+/**
+ * Finds the sibling that precedes a key in a file that already has it,
+ * so the key can be added at the same position elsewhere
+ * @param {Array} keyPaths - Entries of the reference file
+ * @param {Array<string|number>} segments - Path of the key
+ * @returns {string|null|undefined} Preceding sibling key, null if the key comes first, undefined if unknown
+ */
+function findPrecedingSiblingKey(keyPaths, segments) {
+    const target = keyPaths.find(entry => segmentsEqual(entry.segments, segments) && isLocalKeyPath(entry));
+    if (!target) {
+        return undefined;
+    }
+
+    const parentSegments = segments.slice(0, -1);
+    const siblings = keyPaths.filter(entry => entry.documentIndex === target.documentIndex && isLocalKeyPath(entry) &&
+        entry.segments.length === segments.length &&
+        segmentsEqual(entry.segments.slice(0, -1), parentSegments));
+    const index = siblings.indexOf(target);
+    return index > 0 ? siblings[index - 1].key : null;
+}
+
+/**
+ * Adds a key with a value to a file's content at the right nesting level
+ * @param {string} content - File content
+ * @param {Array<string|number>} segments - Path of the key to add
+ * @param {string} valueText - YAML text of the value
+ * @param {string|null|undefined} precedingKey - Sibling to insert after, see findInsertionPoint()
+ * @returns {{content: string, insertion: Object}} New content and where the key went
+ */
+function addKeyToContent(content, segments, valueText, precedingKey) {
+    const key = String(segments[segments.length - 1]);
+    return insertKeyBlock(content, segments, [`${formatYamlKey(key, key)}: ${valueText}`], 0, precedingKey);
+}
+
+/**
+ * Inserts a key block (key line, nested lines and comments) at a path, creating missing parents
+ * @param {string} content - File content
+ * @param {Array<string|number>} segments - Path of the key to insert
+ * @param {Array<string>} blockLines - Lines of the block to insert
+ * @param {number} blockIndent - Current indentation of the block's key
+ * @param {string|null} precedingKey - Sibling to insert after (null for first); appended when undefined
+ * @returns {{content: string, insertion: Object}} New content and the insertion point used
+ */
+function insertKeyBlock(content, segments, blockLines, blockIndent, precedingKey) {
+    const keyPaths = readYamlKeyPaths('', content).filter(isLocalKeyPath);
+
+    // Add to the first document whose root is a mapping
+    const rootKey = keyPaths.find(entry => entry.segments.length === 1 && typeof entry.segments[0] === 'string');
+    const documentIndex = rootKey ? rootKey.documentIndex : 0;
+
+    const insertion = findInsertionPoint(content, keyPaths, documentIndex, segments, precedingKey);
+    const lines = content.split('\n');
+    lines.splice(insertion.afterLine + 1, 0, ...buildInsertionLines(blockLines, blockIndent, insertion, detectIndentUnit(lines)));
+
+    return { content: lines.join('\n'), insertion };
+}
+
+/**
+ * Plans adding a key to every indexed file that lacks it
+ * @param {Array<string|number>} segments - Path of the key to add
+ * @param {string} valueText - YAML text of the value
+ * @returns {Array} One {file, content, newContent, location, error} plan per file lacking the key
+ */
+function planAddMissingKey(segments, valueText) {
+    const files = getIndexedFiles('yaml');
+    const referenceFile = files.find(filePath =>
+        getIndexedKeyPaths(filePath).some(entry => segmentsEqual(entry.segments, segments)));
+    const precedingKey = referenceFile ? findPrecedingSiblingKey(getIndexedKeyPaths(referenceFile), segments) : undefined;
+
+    return files
+        .filter(filePath => !getIndexedKeyPaths(filePath).some(entry => segmentsEqual(entry.segments, segments)))
+        .sort((a, b) => a.localeCompare(b))
+        .map(filePath => {
+            const plan = { file: filePath };
+            try {
+                const content = readFileContent(filePath);
+                const result = addKeyToContent(content, segments, valueText, precedingKey);
+                const existingDepth = segments.length - 1 - result.insertion.missing.length;
+                plan.content = content;
+                plan.newContent = result.content;
+                plan.location = result.insertion.missing.length > 0
+                    ? `creates ${formatKeyPath(segments.slice(0, -1))}`
+                    : existingDepth > 0 ? `under ${formatKeyPath(segments.slice(0, existingDepth))}` : 'top level';
+            } catch (error) {
+                plan.error = error.message;
             }
-            .selection-info {
-                margin: 10px 0;
-                padding: 8px;
-                background-color: var(--vscode-editorInfo-background);
-                border-radius: 3px;
-                font-size: 12px;
+            return plan;
+        });
+}
+
+/**
+ * Adds a key to every file that lacks it, letting the user pick the files in a webview
+ * @param {string} keyPathText - Dot path of the key to add
+ * @param {string} defaultValue - Value for the new key
+ */
+async function addMissingYamlKey(keyPathText, defaultValue) {
+    let segments;
+    try {
+        segments = parseKeyPath(keyPathText);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Invalid key path: ${error.message}`);
+        return;
+    }
+    if (typeof segments[segments.length - 1] === 'number') {
+        vscode.window.showErrorMessage('Only mapping keys can be added, not sequence items');
+        return;
+    }
+
+    await ensureKeyIndex();
+
+    let plans = planAddMissingKey(segments, formatNewScalar(defaultValue));
+    if (plans.length === 0) {
+        vscode.window.showInformationMessage(`${formatKeyPath(segments)} is already defined in every YAML file.`);
+        return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+        'yamlAddKeyModal',
+        'YAML Add Missing Key',
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+
+    panel.webview.html = getAddKeyWebviewContent(formatKeyPath(segments), plans, defaultValue);
+
+    panel.webview.onDidReceiveMessage(
+        async message => {
+            switch (message.command) {
+                case 'addSelected': {
+                    panel.dispose();
+
+                    // Re-plan with the value from the webview, in case it was edited
+                    plans = planAddMissingKey(segments, formatNewScalar(message.value));
+                    const selectedFiles = message.selectedFiles;
+                    const selected = plans.filter(plan => selectedFiles.includes(plan.file) && !plan.error);
+
+                    try {
+                        await applyFileChanges(selected);
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`Error adding ${formatKeyPath(segments)}: ${error.message}`);
+                        break;
+                    }
+                    vscode.window.showInformationMessage(`Added ${formatKeyPath(segments)} to ${selected.length} file(s).`);
+                    break;
+                }
+                case 'preview':
+                    await previewResult({ file: message.file, line: 1, column: 1 });
+                    break;
+                case 'cancel':
+                    panel.dispose();
+                    break;
             }
+        },
+        undefined
+    );
+}
+
+/**
+ * Generates the HTML content for the add missing key webview
+ * @param {string} keyPathText - The key path being added
+ * @param {Array} plans - Plans from planAddMissingKey()
+ * @param {string} defaultValue - The value to pre-fill
+ * @returns {string} HTML content
+ */
+function getAddKeyWebviewContent(keyPathText, plans, defaultValue) {
+    const planFiles = plans.map(plan => ({ file: plan.file }));
+    const rows = plans.map(plan => {
+        const smartDisplayName = getSmartDisplayName(plan.file, planFiles);
+        const relativePath = plan.file.split('/').slice(-3).join('/');
+        return `
+            <tr>
+                <td><input type="checkbox" ${plan.error ? 'disabled' : 'checked'} data-file="${escapeHtml(plan.file)}"></td>
+                <td><button class="preview-btn" data-file="${escapeHtml(plan.file)}">👁️</button></td>
+                <td class="file-name">${escapeHtml(smartDisplayName)}</td>
+                <td class="file-path">${escapeHtml(relativePath)}</td>
+                <td class="key-path">${plan.error ? `⚠️ ${escapeHtml(plan.error)}` : escapeHtml(plan.location)}</td>
+            </tr>
+        `;
+    }).join('');
+    const selectable = plans.filter(plan => !plan.error).length;
+
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>YAML Add Missing Key</title>
+        <style>
+${getWebviewStyles()}
         </style>
     </head>
     <body>
         <div class="header">
-            <div class="search-info">Find & Replace: "${searchKey}"</div>
-            <div>Found ${results.length} occurrences across ${new Set(results.map(r => r.file)).size} files</div>
-        </div>
-
-        <div class="summary">
-            <strong>Current Values:</strong>
-            ${valueSummary}
+            <div class="search-info">Add Missing Key: "${escapeHtml(keyPathText)}"</div>
+            <div>Missing in ${plans.length} file(s)</div>
         </div>
 
         <div class="replace-section">
             <div class="input-group">
-                <label for="newValue">New Value:</label>
-                <input type="text" id="newValue" value="${defaultValue}" placeholder="Enter replacement value">
+                <label for="newValue">Value:</label>
+                <input type="text" id="newValue" value="${escapeHtml(defaultValue)}" placeholder="Enter the value for the new key">
             </div>
             <div class="selection-info">
-                <span id="selectionCount">${results.length}</span> items selected for replacement
+                <span id="selectionCount">${selectable}</span> files selected
             </div>
         </div>
 
@@ -500,37 +5865,32 @@ function getWebviewContent(results, searchKey, valueGroups) {
                         <th>Preview</th>
                         <th>File</th>
                         <th>Path</th>
-                        <th>Key</th>
-                        <th>Line</th>
-                        <th>Current Value</th>
-                        <th>Match</th>
+                        <th>Inserted</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${resultRows}
+                    ${rows}
                 </tbody>
             </table>
         </div>
 
         <div class="actions">
-            <button class="btn btn-primary" id="replaceSelected">Replace Selected</button>
-            <button class="btn btn-primary" id="replaceAll">Replace All</button>
-            <button class="btn btn-secondary" id="reviewEach">Review Each</button>
+            <button class="btn btn-primary" id="addSelected">Add to Selected</button>
             <button class="btn btn-secondary" id="cancel">Cancel</button>
         </div>
 
         <script>
             const vscode = acquireVsCodeApi();
-            
+            const enabledCheckboxes = () => document.querySelectorAll('tbody input[type="checkbox"]:not([disabled])');
+
             // Handle select all checkbox
             document.getElementById('selectAll').addEventListener('change', function(e) {
-                const checkboxes = document.querySelectorAll('tbody input[type="checkbox"]');
-                checkboxes.forEach(cb => cb.checked = e.target.checked);
+                enabledCheckboxes().forEach(cb => cb.checked = e.target.checked);
                 updateSelectionCount();
             });
 
             // Handle individual checkboxes
-            document.querySelectorAll('tbody input[type="checkbox"]').forEach(cb => {
+            enabledCheckboxes().forEach(cb => {
                 cb.addEventListener('change', updateSelectionCount);
             });
 
@@ -543,542 +5903,720 @@ function getWebviewContent(results, searchKey, valueGroups) {
             // Handle preview buttons
             document.querySelectorAll('.preview-btn').forEach(btn => {
                 btn.addEventListener('click', function() {
-                    const index = parseInt(this.dataset.index);
                     vscode.postMessage({
                         command: 'preview',
-                        index: index
+                        file: this.dataset.file
                     });
                 });
             });
 
-            // Handle action buttons
-            document.getElementById('replaceSelected').addEventListener('click', function() {
-                const newValue = document.getElementById('newValue').value;
-                const selectedIndices = Array.from(document.querySelectorAll('tbody input[type="checkbox"]:checked'))
-                    .map(cb => parseInt(cb.dataset.index));
+            document.getElementById('addSelected').addEventListener('click', function() {
+                const selectedFiles = Array.from(document.querySelectorAll('tbody input[type="checkbox"]:checked'))
+                    .map(cb => cb.dataset.file);
                 
-                if (selectedIndices.length === 0) {
-                    alert('Please select at least one item to replace.');
+                if (selectedFiles.length === 0) {
+                    alert('Please select at least one file.');
                     return;
                 }
                 
                 vscode.postMessage({
-                    command: 'replaceSelected',
-                    newValue: newValue,
-                    selectedIndices: selectedIndices
+                    command: 'addSelected',
+                    value: document.getElementById('newValue').value,
+                    selectedFiles: selectedFiles
                 });
             });
 
-            document.getElementById('replaceAll').addEventListener('click', function() {
-                const newValue = document.getElementById('newValue').value;
-                vscode.postMessage({
-                    command: 'replaceAll',
-                    newValue: newValue
-                });
+            document.getElementById('cancel').addEventListener('click', function() {
+                vscode.postMessage({ command: 'cancel' });
             });
+        </script>
+    </body>
+    </html>`;
+}
 
-            document.getElementById('reviewEach').addEventListener('click', function() {
-                const newValue = document.getElementById('newValue').value;
-                vscode.postMessage({
-                    command: 'reviewEach',
-                    newValue: newValue
+/**
+ * Checks whether a value is shown as a row of the comparison matrix (scalars and empty collections)
+ * @param {*} value - The resolved value
+ * @returns {boolean} True for leaf values
+ */
+function isLeafValue(value) {
+    return typeof value !== 'object' || value === null || Object.keys(value).length === 0;
+}
+
+/**
+ * Arranges search results into a matrix of leaf keys (rows) by files (columns)
+ * @param {Array} results - Results from searchKeyInFile()
+ * @returns {{files: Array<string>, displayNames: Object, rows: Array}} Rows hold
+ *   {path, cells: [{result, status}]}, with status 'same', 'different' or 'missing'
+ */
+function buildValueMatrix(results) {
+    const leafResults = results.filter(result => isLeafValue(getKeyPathValue(result)));
+    const files = Array.from(new Set(leafResults.map(result => result.file)));
+    // One entry per file, so a file matching several keys is not taken for a duplicate name
+    const displayNames = createSmartDisplayNames(files.map(file => ({ file })));
+    files.sort((a, b) => displayNames[a].localeCompare(displayNames[b]));
+
+    const resultsByPath = new Map();
+    leafResults.forEach(result => {
+        if (!resultsByPath.has(result.path)) {
+            resultsByPath.set(result.path, new Map());
+        }
+        // With several documents in a file, the first one wins
+        const byFile = resultsByPath.get(result.path);
+        if (!byFile.has(result.file)) {
+            byFile.set(result.file, result);
+        }
+    });
+
+    const rows = Array.from(resultsByPath.keys()).sort((a, b) => a.localeCompare(b)).map(keyPath => {
+        const byFile = resultsByPath.get(keyPath);
+
+        // The most common value is the reference the others are compared to
+        const counts = new Map();
+        byFile.forEach(result => {
+            const valueKey = JSON.stringify(getKeyPathValue(result));
+            counts.set(valueKey, (counts.get(valueKey) || 0) + 1);
+        });
+        const reference = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+        const cells = files.map(file => {
+            const result = byFile.get(file);
+            if (!result) {
+                return { result: null, status: 'missing' };
+            }
+            return { result, status: JSON.stringify(getKeyPathValue(result)) === reference ? 'same' : 'different' };
+        });
+
+        return { path: keyPath, cells, differs: cells.some(cell => cell.status !== 'same') };
+    });
+
+    return { files, displayNames, rows };
+}
+
+/**
+ * Shows the values of a key (or subtree) side by side for every file that defines it
+ * @param {string} searchKey - The key path or query to compare
+ */
+async function compareYamlValues(searchKey) {
+    if (!searchKey || !searchKey.trim()) {
+        vscode.window.showErrorMessage('Please provide a key to compare');
+        return;
+    }
+
+    searchWorkspace(
+        `Comparing YAML key: ${searchKey}`,
+        filePath => searchKeyInFile(filePath, searchKey),
+        results => {
+            // Partial matches are other keys (database.hostname for database.host); keep the
+            // exact matches and the keys below them
+            const exactPaths = new Set(results.filter(result => result.isExactMatch).map(result => result.path));
+            const matrix = buildValueMatrix(results.filter(result => result.segments
+                .some((segment, index) => exactPaths.has(formatKeyPath(result.segments.slice(0, index + 1))))));
+            if (matrix.rows.length === 0) {
+                vscode.window.showInformationMessage(`No values found for key: ${searchKey}`);
+                return;
+            }
+
+            const panel = vscode.window.createWebviewPanel(
+                'yamlCompareMatrix',
+                `Compare: ${searchKey}`,
+                vscode.ViewColumn.Beside,
+                {
+                    enableScripts: true,
+                    retainContextWhenHidden: true
+                }
+            );
+
+            const cellResults = [];
+            panel.webview.html = getCompareWebviewContent(searchKey, matrix, cellResults);
+
+            panel.webview.onDidReceiveMessage(
+                async message => {
+                    if (message.command === 'open') {
+                        await previewResult(cellResults[message.index]);
+                    }
+                },
+                undefined
+            );
+        }
+    );
+}
+
+/**
+ * Generates the HTML content for the value comparison matrix
+ * @param {string} searchKey - The compared key path or query
+ * @param {Object} matrix - Matrix from buildValueMatrix()
+ * @param {Array} cellResults - Filled with the result behind each clickable cell
+ * @returns {string} HTML content
+ */
+function getCompareWebviewContent(searchKey, matrix, cellResults) {
+    const headers = matrix.files.map(file =>
+        `<th title="${escapeHtml(vscode.workspace.asRelativePath(file))}">${escapeHtml(matrix.displayNames[file])}</th>`).join('');
+
+    const rows = matrix.rows.map(row => {
+        const cells = row.cells.map(cell => {
+            if (!cell.result) {
+                return '<td class="cell missing">— missing</td>';
+            }
+            cellResults.push(cell.result);
+            return `<td class="cell ${cell.status}" data-index="${cellResults.length - 1}" title="Line ${cell.result.line}">${escapeHtml(JSON.stringify(getKeyPathValue(cell.result)))}</td>`;
+        }).join('');
+        return `
+            <tr class="${row.differs ? 'differs' : ''}">
+                <td class="key-path">${escapeHtml(row.path)}</td>
+                ${cells}
+            </tr>
+        `;
+    }).join('');
+
+    const differing = matrix.rows.filter(row => row.differs).length;
+    const missing = matrix.rows.reduce((sum, row) => sum + row.cells.filter(cell => cell.status === 'missing').length, 0);
+
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>YAML Compare Values</title>
+        <style>
+${getWebviewStyles()}
+            .cell {
+                font-family: monospace;
+                cursor: pointer;
+            }
+            .cell.different {
+                background-color: var(--vscode-inputValidation-warningBackground);
+            }
+            .cell.missing {
+                color: var(--vscode-errorForeground);
+                font-style: italic;
+                cursor: default;
+            }
+            .hide-same tr:not(.differs) {
+                display: none;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div class="search-info">Compare Values: "${escapeHtml(searchKey)}"</div>
+            <div>${matrix.rows.length} keys across ${matrix.files.length} files · ${differing} differ · ${missing} missing</div>
+        </div>
+
+        <div class="selection-info">
+            <label><input type="checkbox" id="onlyDiffering"> Show only keys that differ</label>
+        </div>
+
+        <div style="overflow: auto;">
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Key</th>
+                        ${headers}
+                    </tr>
+                </thead>
+                <tbody id="rows">
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            document.getElementById('onlyDiffering').addEventListener('change', function(e) {
+                document.getElementById('rows').classList.toggle('hide-same', e.target.checked);
+            });
+
+            // Jump to the value behind a cell
+            document.querySelectorAll('.cell[data-index]').forEach(cell => {
+                cell.addEventListener('click', function() {
+                    vscode.postMessage({
+                        command: 'open',
+                        index: parseInt(this.dataset.index)
+                    });
                 });
             });
+        </script>
+    </body>
+    </html>`;
+}
 
-            document.getElementById('cancel').addEventListener('click', function() {
-                vscode.postMessage({ command: 'cancel' });
+/**
+ * Finds key paths defined in some of a group of files but absent from others. Sequence
+ * items are compared as values, and a missing subtree is reported once at its root.
+ * @param {Array<string>} files - The files to compare
+ * @returns {Array} One {file, missing} entry per file; missing holds {path, segments, definedIn, source}
+ */
+function findConfigurationDrift(files) {
+    const pathsByFile = new Map(files.map(file => [
+        file,
+        getIndexedKeyPaths(file).filter(entry => !entry.segments.some(segment => typeof segment === 'number'))
+    ]));
+
+    const union = new Map();
+    pathsByFile.forEach(entries => {
+        entries.forEach(entry => {
+            if (!union.has(entry.path)) {
+                union.set(entry.path, { segments: entry.segments, entries: [] });
+            }
+            union.get(entry.path).entries.push(entry);
+        });
+    });
+
+    return files.map(file => {
+        const present = new Set(pathsByFile.get(file).map(entry => entry.path));
+        const missing = [];
+        union.forEach((info, keyPath) => {
+            if (present.has(keyPath)) {
+                return;
+            }
+            // Children of a missing key are inserted along with it
+            if (info.segments.length > 1 && !present.has(formatKeyPath(info.segments.slice(0, -1)))) {
+                return;
+            }
+            missing.push({
+                path: keyPath,
+                segments: info.segments,
+                definedIn: Array.from(new Set(info.entries.map(entry => entry.file))),
+                source: info.entries.find(isLocalKeyPath) || info.entries[0]
             });
-        </script>
-    </body>
-    </html>`;
+        });
+        return { file, missing };
+    });
 }
 
 /**
- * Preview a specific result by opening the file and highlighting the line
- * @param {Object} result - The search result to preview
+ * Copies a key, with its nested keys and comments, from one file into another
+ * @param {string} content - Content of the file missing the key
+ * @param {Object} source - Entry of the key in the file that has it
+ * @returns {string} The new content
  */
-async function previewResult(result) {
+function copyKeyToContent(content, source) {
+    if (!isLocalKeyPath(source)) {
+        throw new Error(`${source.path} is only inherited from &${source.anchor.name} in ${path.basename(source.file)}`);
+    }
+    const sourceContent = readFileContent(source.file);
+    const sourceLines = sourceContent.split('\n');
+    const sourcePaths = readYamlKeyPaths(source.file, sourceContent);
+    // The report may be older than the file: cut the block where the key is now
+    const current = sourcePaths.find(entry => entry.documentIndex === source.documentIndex &&
+        segmentsEqual(entry.segments, source.segments) && isLocalKeyPath(entry));
+    if (!current) {
+        throw new Error(`${source.path} is no longer defined in ${path.basename(source.file)}`);
+    }
+    const precedingKey = findPrecedingSiblingKey(sourcePaths, current.segments);
+
+    let block;
     try {
-        const doc = await vscode.workspace.openTextDocument(result.file);
-        const editor = await vscode.window.showTextDocument(doc, vscode.ViewColumn.One);
-        const position = new vscode.Position(result.line - 1, result.column - 1);
-        editor.selection = new vscode.Selection(position, position);
-        editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+        block = getKeyBlock(sourceLines, current);
     } catch (error) {
-        vscode.window.showErrorMessage(`Could not preview ${path.basename(result.file)}: ${error.message}`);
+        // Keys inside flow collections only carry their value over
+        return addKeyToContent(content, current.segments, getValueSource(sourceContent, current).trim() || "''", precedingKey).content;
     }
-}
-
 
+    const blockLines = sourceLines.slice(block.startLine, block.endLine + 1);
+    return insertKeyBlock(content, current.segments, blockLines, block.indent, precedingKey).content;
+}
 
 /**
- * Debug function to log replace operation details
- * @param {Array} results - Array of search results
- * @param {string} newValue - The replacement value
+ * Builds a glob matching the siblings of a file, e.g. config/application-*.yml for
+ * config/application-dev.yml
+ * @param {string} filePath - The file
+ * @returns {string} Workspace-relative glob
  */
-function debugReplaceOperation(results, newValue) {
-    console.log('=== REPLACE OPERATION DEBUG ===');
-    console.log(`New value: "${newValue}"`);
-    console.log(`Total results: ${results.length}`);
-    
-    results.forEach((result, index) => {
-        console.log(`Result ${index + 1}:`);
-        console.log(`  File: ${result.file}`);
-        console.log(`  Path: ${result.path}`);
-        console.log(`  Key: "${result.key}"`);
-        console.log(`  Line: ${result.line}`);
-        console.log(`  Current value: ${JSON.stringify(result.value)}`);
-        console.log(`  Full path: ${result.fullPath || 'N/A'}`);
-    });
-    console.log('=== END DEBUG ===');
+function suggestSiblingGlob(filePath) {
+    const relativePath = vscode.workspace.asRelativePath(filePath, false);
+    const extension = path.extname(relativePath);
+    const base = relativePath.slice(0, relativePath.length - extension.length);
+    const separator = Math.max(base.lastIndexOf('-'), base.lastIndexOf('_'), base.lastIndexOf('.'));
+    const directory = Math.max(base.lastIndexOf('/'), base.lastIndexOf('\\'));
+    if (separator > directory + 1) {
+        return `${base.slice(0, separator + 1)}*${extension}`;
+    }
+    return `${relativePath.slice(0, directory + 1)}*${extension}`;
 }
 
 /**
- * Performs batch replacement of all results
- * @param {Array} results - Array of search results
- * @param {string} newValue - The replacement value
+ * Asks which files to compare, either picked from a list or matched by a glob
+ * @returns {Promise<Array<string>|undefined>} The chosen files, or undefined when cancelled
  */
-async function performBatchReplace(results, newValue) {
-    // Debug the operation
-    debugReplaceOperation(results, newValue);
-    
-    const changesByFile = {};
-    
-    // Group changes by file
-    results.forEach(result => {
-        if (!changesByFile[result.file]) {
-            changesByFile[result.file] = [];
-        }
-        changesByFile[result.file].push(result);
-    });
-
-    let totalChanges = 0;
-    const errors = [];
-
-    await vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: 'Replacing YAML values...',
-        cancellable: false
-    }, async (progress) => {
-        const files = Object.keys(changesByFile);
-        
-        for (let i = 0; i < files.length; i++) {
-            const filePath = files[i];
-            const fileResults = changesByFile[filePath];
-            
-            progress.report({
-                message: `Processing ${path.basename(filePath)} (${i + 1}/${files.length})`,
-                increment: (100 / files.length)
-            });
+async function pickDriftFiles() {
+    await ensureKeyIndex();
+    const files = getIndexedFiles('yaml').sort((a, b) => a.localeCompare(b));
 
-            try {
-                const changes = await replaceInFile(filePath, fileResults, newValue);
-                totalChanges += changes;
-            } catch (error) {
-                errors.push(`${path.basename(filePath)}: ${error.message}`);
-            }
-        }
+    const mode = await vscode.window.showQuickPick([
+        { label: '$(filter) Match a glob pattern', description: 'e.g. config/application-*.yml', mode: 'glob' },
+        { label: '$(files) Pick files', mode: 'pick' }
+    ], {
+        placeHolder: 'Which files should be compared?'
     });
+    if (!mode) {
+        return undefined;
+    }
 
-    // Show results
-    if (errors.length > 0) {
-        vscode.window.showWarningMessage(
-            `Replaced ${totalChanges} occurrences. ${errors.length} files had errors.`,
-            'Show Errors'
-        ).then(choice => {
-            if (choice === 'Show Errors') {
-                vscode.window.showErrorMessage(errors.join('\n'));
-            }
+    if (mode.mode === 'pick') {
+        const selection = await vscode.window.showQuickPick(files.map(file => ({
+            label: `$(file) ${path.basename(file)}`,
+            description: vscode.workspace.asRelativePath(file),
+            file: file
+        })), {
+            placeHolder: 'Select the files to compare',
+            canPickMany: true,
+            matchOnDescription: true
         });
-    } else {
-        vscode.window.showInformationMessage(`Successfully replaced ${totalChanges} occurrences across ${Object.keys(changesByFile).length} files.`);
+        return selection && selection.map(item => item.file);
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    const suggestion = editor && files.includes(editor.document.uri.fsPath) ? suggestSiblingGlob(editor.document.uri.fsPath) : '';
+    const pattern = await vscode.window.showInputBox({
+        prompt: 'Enter a glob matching the files to compare (relative to the workspace)',
+        placeHolder: 'config/application-*.yml',
+        value: suggestion
+    });
+    if (!pattern || !pattern.trim()) {
+        return undefined;
     }
+    return files.filter(file => minimatch(vscode.workspace.asRelativePath(file, false), pattern.trim(), { dot: true }));
 }
 
 /**
- * Performs replacement with individual review
- * @param {Array} results - Array of search results
- * @param {string} newValue - The replacement value
+ * Reports keys present in some of a group of sibling files but missing from others
  */
-async function performReviewReplace(results, newValue) {
-    // Debug the operation
-    debugReplaceOperation(results, newValue);
-    
-    let totalChanges = 0;
-    let currentIndex = 0;
+async function showDriftReport() {
+    const files = await pickDriftFiles();
+    if (!files) {
+        return;
+    }
+    if (files.length < 2) {
+        vscode.window.showErrorMessage(`Select at least two YAML files to compare (${files.length} matched)`);
+        return;
+    }
 
-    for (const result of results) {
-        currentIndex++;
-        
-        // Open the file and show the location
-        const doc = await vscode.workspace.openTextDocument(result.file);
-        const editor = await vscode.window.showTextDocument(doc);
-        const position = new vscode.Position(result.line - 1, result.column - 1);
-        editor.selection = new vscode.Selection(position, position);
-        editor.revealRange(new vscode.Range(position, position));
+    const report = findConfigurationDrift(files);
+    const total = report.reduce((sum, item) => sum + item.missing.length, 0);
+    if (total === 0) {
+        vscode.window.showInformationMessage(`No drift: all ${files.length} files define the same keys.`);
+        return;
+    }
 
-        // Ask user for action
-        const action = await vscode.window.showWarningMessage(
-            `Replace "${result.path}" in ${path.basename(result.file)}?\nCurrent: ${JSON.stringify(result.value)}\nNew: ${JSON.stringify(newValue)}\n\n(${currentIndex}/${results.length})`,
-            'Replace', 'Skip', 'Replace All Remaining', 'Cancel'
-        );
+    const panel = vscode.window.createWebviewPanel(
+        'yamlDriftReport',
+        'YAML Drift Report',
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
 
-        if (action === 'Replace') {
-            try {
-                const changes = await replaceInFile(result.file, [result], newValue);
-                totalChanges += changes;
-            } catch (error) {
-                vscode.window.showErrorMessage(`Error replacing in ${path.basename(result.file)}: ${error.message}`);
-            }
-        } else if (action === 'Replace All Remaining') {
-            // Replace current and all remaining
-            const remaining = results.slice(currentIndex - 1);
-            const changesByFile = {};
-            remaining.forEach(r => {
-                if (!changesByFile[r.file]) {
-                    changesByFile[r.file] = [];
-                }
-                changesByFile[r.file].push(r);
-            });
+    const entries = [];
+    panel.webview.html = getDriftWebviewContent(report, entries);
 
-            for (const [filePath, fileResults] of Object.entries(changesByFile)) {
-                try {
-                    const changes = await replaceInFile(filePath, fileResults, newValue);
-                    totalChanges += changes;
-                } catch (error) {
-                    vscode.window.showErrorMessage(`Error replacing in ${path.basename(filePath)}: ${error.message}`);
+    panel.webview.onDidReceiveMessage(
+        async message => {
+            switch (message.command) {
+                case 'insert': {
+                    const entry = entries[message.index];
+                    try {
+                        const content = readFileContent(entry.file);
+                        await applyFileChanges([{ file: entry.file, content, newContent: copyKeyToContent(content, entry.missing.source) }]);
+                        panel.webview.postMessage({ command: 'inserted', index: message.index });
+                    } catch (error) {
+                        panel.webview.postMessage({ command: 'insertFailed', index: message.index });
+                        vscode.window.showErrorMessage(`Could not add ${entry.missing.path} to ${path.basename(entry.file)}: ${error.message}`);
+                    }
+                    break;
                 }
+                case 'preview':
+                    await previewResult(entries[message.index].missing.source);
+                    break;
             }
-            break;
-        } else if (action === 'Cancel') {
-            break;
-        }
-        // Skip continues to next iteration
-    }
-
-    if (totalChanges > 0) {
-        vscode.window.showInformationMessage(`Successfully replaced ${totalChanges} occurrences.`);
-    }
+        },
+        undefined
+    );
 }
 
 /**
- * Replaces values in a specific file
- * @param {string} filePath - Path to the file
- * @param {Array} results - Array of search results for this file
- * @param {string} newValue - The replacement value
- * @returns {Promise<number>} Number of changes made
+ * Generates the HTML content for the drift report webview
+ * @param {Array} report - Report from findConfigurationDrift()
+ * @param {Array} entries - Filled with the {file, missing} behind each row
+ * @returns {string} HTML content
  */
-async function replaceInFile(filePath, results, newValue) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-        let changes = 0;
+function getDriftWebviewContent(report, entries) {
+    const displayNames = createSmartDisplayNames(report.map(item => ({ file: item.file })));
 
-        console.log(`Replacing in file: ${filePath}, ${results.length} results, new value: "${newValue}"`);
+    const sections = report.filter(item => item.missing.length > 0).map(item => {
+        const rows = item.missing.map(missing => {
+            entries.push({ file: item.file, missing });
+            const index = entries.length - 1;
+            const sourceValue = getKeyPathValue(missing.source);
+            const value = isLeafValue(sourceValue) ? JSON.stringify(sourceValue) : '{…}';
+            return `
+                <tr>
+                    <td class="key-path">${escapeHtml(missing.path)}</td>
+                    <td class="current-value">${escapeHtml(value)}</td>
+                    <td class="file-path">${escapeHtml(missing.definedIn.map(file => displayNames[file]).join(', '))}</td>
+                    <td><button class="preview-btn" data-index="${index}" title="Show in ${escapeHtml(displayNames[missing.source.file])}">👁️</button></td>
+                    <td><button class="btn btn-primary insert-btn" data-index="${index}">Insert</button></td>
+                </tr>
+            `;
+        }).join('');
 
-        // Sort results by line number in descending order to avoid offset issues
-        results.sort((a, b) => b.line - a.line);
+        return `
+            <h3 title="${escapeHtml(vscode.workspace.asRelativePath(item.file))}">${escapeHtml(displayNames[item.file])} — ${item.missing.length} missing</h3>
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Key</th>
+                        <th>Value</th>
+                        <th>Defined In</th>
+                        <th>Source</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        `;
+    }).join('');
 
-        // Process each replacement
-        for (const result of results) {
-            try {
-                const lineIndex = result.line - 1;
-                console.log(`Processing result: line ${result.line}, key: "${result.key}", value: ${JSON.stringify(result.value)}`);
-                
-                // Validate line index
-                if (lineIndex < 0 || lineIndex >= lines.length) {
-                    console.warn(`Line index ${lineIndex} out of bounds for file ${filePath} (${lines.length} lines)`);
-                    continue;
-                }
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>YAML Drift Report</title>
+        <style>
+${getWebviewStyles()}
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div class="search-info">Drift Report</div>
+            <div>Comparing ${report.length} files · ${entries.length} missing keys</div>
+        </div>
 
-                const line = lines[lineIndex];
-                
-                // Validate line content
-                if (typeof line !== 'string') {
-                    console.warn(`Line ${result.line} is not a string: ${typeof line}`);
-                    continue;
-                }
+        ${sections}
 
-                console.log(`Original line ${result.line}: "${line}"`);
-                
-                // Create a more flexible pattern to match the key
-                const keyName = result.key || '';
-                if (!keyName) {
-                    console.warn(`No key name found for result at line ${result.line}`);
-                    continue;
-                }
+        <script>
+            const vscode = acquireVsCodeApi();
 
-                // Escape the key name for regex
-                const escapedKey = escapeRegExp(keyName);
-                
-                // Try multiple patterns to find the key
-                const patterns = [
-                    // Standard YAML: "key: value"
-                    new RegExp(`^(\\s*${escapedKey}\\s*:)\\s*(.*)$`),
-                    // With quotes: "key": "value" or 'key': 'value'
-                    new RegExp(`^(\\s*['"']?${escapedKey}['"']?\\s*:)\\s*(.*)$`),
-                    // More flexible: any whitespace around key and colon
-                    new RegExp(`^(\\s*.*${escapedKey}.*\\s*:)\\s*(.*)$`)
-                ];
-
-                let match = null;
-                let matchedPattern = null;
-
-                for (const pattern of patterns) {
-                    match = line.match(pattern);
-                    if (match) {
-                        matchedPattern = pattern;
-                        break;
-                    }
-                }
-                
-                if (match) {
-                    console.log(`Found match with pattern, groups:`, match);
-                    
-                    // Determine the appropriate format for the new value
-                    let formattedNewValue = newValue;
-                    
-                    // Try to preserve the original format (quoted/unquoted, etc.)
-                    const originalValue = match[2] ? match[2].trim() : '';
-                    
-                    if (originalValue.startsWith("'") && originalValue.endsWith("'")) {
-                        // Single quoted
-                        formattedNewValue = `'${newValue.replace(/'/g, "''")}'`;
-                    } else if (originalValue.startsWith('"') && originalValue.endsWith('"')) {
-                        // Double quoted
-                        formattedNewValue = `"${newValue.replace(/"/g, '\\"')}"`;
-                    } else if (originalValue === 'true' || originalValue === 'false') {
-                        // Boolean values
-                        formattedNewValue = ['true', 'yes', '1'].includes(newValue.toLowerCase()) ? 'true' : 'false';
-                    } else if (!isNaN(originalValue) && !isNaN(newValue)) {
-                        // Numeric values
-                        formattedNewValue = newValue;
-                    } else {
-                        // Default format - add quotes if needed
-                        if (newValue.includes(' ') || newValue.includes(':') || newValue.includes('#') || newValue.includes('\n')) {
-                            formattedNewValue = `'${newValue.replace(/'/g, "''")}'`;
-                        }
-                    }
-                    
-                    const newLine = line.replace(matchedPattern, `$1 ${formattedNewValue}`);
-                    console.log(`New line ${result.line}: "${newLine}"`);
-                    
-                    lines[lineIndex] = newLine;
-                    changes++;
-                } else {
-                    console.warn(`No pattern matched for key "${keyName}" on line ${result.line}: "${line}"`);
-                }
-            } catch (resultError) {
-                console.error(`Error processing result at line ${result.line}:`, resultError);
-                continue;
-            }
-        }
+            document.querySelectorAll('.insert-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    this.disabled = true;
+                    vscode.postMessage({
+                        command: 'insert',
+                        index: parseInt(this.dataset.index)
+                    });
+                });
+            });
 
-        if (changes > 0) {
-            console.log(`Writing ${changes} changes to ${filePath}`);
-            fs.writeFileSync(filePath, lines.join('\n'), 'utf8');
-        } else {
-            console.log(`No changes made to ${filePath}`);
-        }
+            document.querySelectorAll('.preview-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    vscode.postMessage({
+                        command: 'preview',
+                        index: parseInt(this.dataset.index)
+                    });
+                });
+            });
 
-        return changes;
-        
-    } catch (error) {
-        console.error(`Error in replaceInFile for ${filePath}:`, error);
-        throw new Error(`Failed to replace in ${path.basename(filePath)}: ${error.message}`);
-    }
+            window.addEventListener('message', event => {
+                const message = event.data;
+                const button = document.querySelector('.insert-btn[data-index="' + message.index + '"]');
+                if (message.command === 'inserted') {
+                    button.textContent = '✓ Added';
+                } else if (message.command === 'insertFailed') {
+                    button.disabled = false;
+                }
+            });
+        </script>
+    </body>
+    </html>`;
 }
 
 /**
- * Escapes special regex characters
- * @param {string} string - String to escape
- * @returns {string} Escaped string
+ * Replaces the results shown in the YAML Keys view
+ * @param {Array} results - Search results
+ * @param {string} query - The key or value that was searched for
+ * @param {string} subject - What was searched for ('key' or 'value')
  */
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function showResultsInView(results, query, subject) {
+    resultsView.results = results;
+    resultsView.query = query;
+    resultsView.subject = subject;
+
+    if (resultsView.treeView) {
+        resultsView.treeView.message = results.length > 0
+            ? `${results.length} matches for ${subject} "${query}" in ${new Set(results.map(result => result.file)).size} files`
+            : `No matches for ${subject} "${query}"`;
+    }
+    if (resultsView.emitter) {
+        resultsView.emitter.fire();
+    }
 }
 
 /**
- * Creates smart display names for files, showing parent directory when there are duplicates
- * @param {Array} results - Array of search results
- * @returns {Object} Map of file paths to display names
+ * Runs the last search again and updates the YAML Keys view
  */
-function createSmartDisplayNames(results) {
-    const fileNames = {};
-    const displayNames = {};
-    
-    // First pass: count occurrences of each filename
-    results.forEach(result => {
-        const fileName = path.basename(result.file);
-        if (!fileNames[fileName]) {
-            fileNames[fileName] = [];
-        }
-        fileNames[fileName].push(result.file);
-    });
-    
-    // Second pass: create display names
-    Object.keys(fileNames).forEach(fileName => {
-        const filePaths = fileNames[fileName];
-        
-        if (filePaths.length === 1) {
-            // No duplicates, just use filename
-            displayNames[filePaths[0]] = fileName;
-        } else {
-            // Multiple files with same name, show parent directory
-            filePaths.forEach(filePath => {
-                const pathParts = filePath.split(path.sep);
-                const parentDir = pathParts[pathParts.length - 2] || '';
-                displayNames[filePath] = parentDir ? `${parentDir}/${fileName}` : fileName;
-            });
-        }
-    });
-    
-    return displayNames;
+function refreshResultsView() {
+    const { query, subject } = resultsView;
+    if (!query) {
+        return;
+    }
+
+    searchWorkspace(
+        `Searching for YAML ${subject}: ${query}`,
+        filePath => subject === 'value' ? searchValueInFile(filePath, query) : searchKeyInFile(filePath, query),
+        results => showResultsInView(results, query, subject)
+    );
 }
 
 /**
- * Gets a smart display name for a file path, considering duplicates in the result set
- * @param {string} filePath - The full file path
- * @param {Array} allResults - All search results for context
- * @returns {string} Smart display name
+ * Lists the nodes below a node of the YAML Keys view: files, then key paths, then values
+ * @param {Object} node - The parent node ({type, file} or {type, result}); undefined for the root
+ * @returns {Array} Child nodes
  */
-function getSmartDisplayName(filePath, allResults) {
-    const displayNames = createSmartDisplayNames(allResults);
-    return displayNames[filePath] || path.basename(filePath);
+function getResultsTreeChildren(node) {
+    if (!node) {
+        return Array.from(new Set(resultsView.results.map(result => result.file)))
+            .map(file => ({ type: 'file', file }));
+    }
+    if (node.type === 'file') {
+        return resultsView.results
+            .filter(result => result.file === node.file)
+            .map(result => ({ type: 'key', file: node.file, result }));
+    }
+    if (node.type === 'key') {
+        const children = [{ type: 'value', file: node.file, result: node.result }];
+        if (node.result.origin && node.result.origin !== 'local') {
+            children.push({ type: 'anchor', file: node.file, result: node.result });
+        }
+        return children;
+    }
+    return [];
 }
 
 /**
- * Main search function
- * @param {string} searchKey - The key to search for
+ * Builds the tree item shown for a node of the YAML Keys view
+ * @param {Object} node - Node from getResultsTreeChildren()
+ * @returns {vscode.TreeItem} The tree item
  */
-async function searchYamlKey(searchKey) {
-    if (!searchKey || !searchKey.trim()) {
-        vscode.window.showErrorMessage('Please provide a key to search for');
-        return;
+function getResultsTreeItem(node) {
+    if (node.type === 'file') {
+        const displayNames = createSmartDisplayNames(getResultsTreeChildren().map(fileNode => ({ file: fileNode.file })));
+        const item = new vscode.TreeItem(displayNames[node.file] || path.basename(node.file), vscode.TreeItemCollapsibleState.Expanded);
+        item.description = vscode.workspace.asRelativePath(node.file);
+        item.resourceUri = vscode.Uri.file(node.file);
+        item.iconPath = vscode.ThemeIcon.File;
+        item.contextValue = 'yamlResultFile';
+        return item;
     }
 
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) {
-        vscode.window.showErrorMessage('No workspace folder is open');
-        return;
+    const result = node.result;
+    if (node.type === 'key') {
+        const item = new vscode.TreeItem(result.path, vscode.TreeItemCollapsibleState.Collapsed);
+        const details = [`line ${result.line}`, describeDocument(result)];
+        if (result.origin && result.origin !== 'local') {
+            details.push(result.origin === 'merge' ? 'inherited' : 'alias');
+        }
+        item.description = details.filter(Boolean).join(' · ');
+        item.tooltip = `${result.path} (${result.isExactMatch ? 'exact' : 'partial'} match)`;
+        item.iconPath = new vscode.ThemeIcon('symbol-key');
+        item.contextValue = 'yamlResultKey';
+        item.command = { command: 'yamlKeySearch.results.open', title: 'Open', arguments: [node] };
+        return item;
     }
 
-    vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: `Searching for YAML key: ${searchKey}`,
-        cancellable: true
-    }, async (progress, token) => {
-        try {
-            let allResults = [];
-            
-            for (const folder of workspaceFolders) {
-                try {
-                    const yamlFiles = await findYamlFiles(folder.uri.fsPath);
-                    console.log(`Found ${yamlFiles.length} YAML files in ${folder.uri.fsPath}`);
-                    
-                    for (let i = 0; i < yamlFiles.length; i++) {
-                        if (token.isCancellationRequested) {
-                            return;
-                        }
-                        
-                        try {
-                            progress.report({
-                                message: `Searching ${path.basename(yamlFiles[i])} (${i + 1}/${yamlFiles.length})`,
-                                increment: (100 / yamlFiles.length)
-                            });
-                            
-                            const results = await searchKeyInFile(yamlFiles[i], searchKey);
-                            allResults = allResults.concat(results);
-                        } catch (fileError) {
-                            console.warn(`Error searching file ${yamlFiles[i]}:`, fileError.message);
-                            // Continue with next file instead of failing completely
-                        }
-                    }
-                } catch (folderError) {
-                    console.warn(`Error searching folder ${folder.uri.fsPath}:`, folderError.message);
-                    // Continue with next folder
-                }
-            }
-            
-            // Sort results: exact matches first, then by file name
-            allResults.sort((a, b) => {
-                if (a.isExactMatch && !b.isExactMatch) return -1;
-                if (!a.isExactMatch && b.isExactMatch) return 1;
-                return a.file.localeCompare(b.file);
-            });
-            
-            showSearchResults(allResults, searchKey, false);
-            
-        } catch (error) {
-            vscode.window.showErrorMessage(`Error searching YAML files: ${error.message}`);
-        }
-    });
+    if (node.type === 'anchor') {
+        const item = new vscode.TreeItem(`&${result.anchor.name}`, vscode.TreeItemCollapsibleState.None);
+        item.description = describeValueOrigin(result);
+        item.tooltip = `Defined at ${result.anchorPath || `&${result.anchor.name}`}, reused in ${result.anchor.uses} place${result.anchor.uses === 1 ? '' : 's'}`;
+        item.iconPath = new vscode.ThemeIcon('references');
+        item.command = { command: 'yamlKeySearch.results.open', title: 'Go to Anchor', arguments: [node] };
+        return item;
+    }
+
+    const value = getKeyPathValue(result);
+    const item = new vscode.TreeItem(JSON.stringify(value), vscode.TreeItemCollapsibleState.None);
+    const effectiveValue = getEffectiveValue(result);
+    if (effectiveValue !== null) {
+        item.description = `→ ${JSON.stringify(effectiveValue)}`;
+    }
+    item.tooltip = JSON.stringify(value, null, 2);
+    item.iconPath = new vscode.ThemeIcon('symbol-constant');
+    item.contextValue = 'yamlResultValue';
+    item.command = { command: 'yamlKeySearch.results.open', title: 'Open', arguments: [node] };
+    return item;
 }
 
 /**
- * Main find and replace function
- * @param {string} searchKey - The key to search for
+ * Adds a file to the workspace exclude patterns
+ * @param {string} filePath - The file to exclude
  */
-async function findAndReplaceYamlKey(searchKey) {
-    if (!searchKey || !searchKey.trim()) {
-        vscode.window.showErrorMessage('Please provide a key to search for');
-        return;
+async function excludeFileFromSearch(filePath) {
+    const config = vscode.workspace.getConfiguration('yamlKeySearch');
+    const pattern = vscode.workspace.asRelativePath(filePath, false);
+    const patterns = config.get('excludePatterns', DEFAULT_EXCLUDE_PATTERNS);
+    if (!patterns.includes(pattern)) {
+        await config.update('excludePatterns', patterns.concat(pattern), vscode.ConfigurationTarget.Workspace);
     }
 
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) {
-        vscode.window.showErrorMessage('No workspace folder is open');
-        return;
-    }
+    showResultsInView(resultsView.results.filter(result => result.file !== filePath), resultsView.query, resultsView.subject);
+    vscode.window.showInformationMessage(`Excluded ${pattern} from YAML key search.`);
+}
 
-    vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: `Searching for YAML key: ${searchKey}`,
-        cancellable: true
-    }, async (progress, token) => {
-        try {
-            let allResults = [];
-            
-            for (const folder of workspaceFolders) {
-                try {
-                    const yamlFiles = await findYamlFiles(folder.uri.fsPath);
-                    console.log(`Found ${yamlFiles.length} YAML files in ${folder.uri.fsPath}`);
-                    
-                    for (let i = 0; i < yamlFiles.length; i++) {
-                        if (token.isCancellationRequested) {
-                            return;
-                        }
-                        
-                        try {
-                            progress.report({
-                                message: `Searching ${path.basename(yamlFiles[i])} (${i + 1}/${yamlFiles.length})`,
-                                increment: (100 / yamlFiles.length)
-                            });
-                            
-                            const results = await searchKeyInFile(yamlFiles[i], searchKey);
-                            allResults = allResults.concat(results);
-                        } catch (fileError) {
-                            console.warn(`Error searching file ${yamlFiles[i]}:`, fileError.message);
-                        }
-                    }
-                } catch (folderError) {
-                    console.warn(`Error searching folder ${folder.uri.fsPath}:`, folderError.message);
-                }
-            }
-            
-            // Sort results: exact matches first, then by file name
-            allResults.sort((a, b) => {
-                if (a.isExactMatch && !b.isExactMatch) return -1;
-                if (!a.isExactMatch && b.isExactMatch) return 1;
-                return a.file.localeCompare(b.file);
-            });
-            
-            showSearchResults(allResults, searchKey, true);
-            
-        } catch (error) {
-            vscode.window.showErrorMessage(`Error searching YAML files: ${error.message}`);
-        }
+/**
+ * Registers the YAML Keys view and the commands of its title bar and context menu
+ * @param {vscode.ExtensionContext} context
+ */
+function registerResultsView(context) {
+    resultsView.emitter = new vscode.EventEmitter();
+    resultsView.treeView = vscode.window.createTreeView('yamlKeySearch.results', {
+        treeDataProvider: {
+            onDidChangeTreeData: resultsView.emitter.event,
+            getChildren: getResultsTreeChildren,
+            getTreeItem: getResultsTreeItem
+        },
+        showCollapseAll: true
     });
+
+    context.subscriptions.push(
+        resultsView.emitter,
+        resultsView.treeView,
+        vscode.commands.registerCommand('yamlKeySearch.results.newSearch', () =>
+            vscode.commands.executeCommand('yamlKeySearch.searchKey')),
+        vscode.commands.registerCommand('yamlKeySearch.results.newValueSearch', () =>
+            vscode.commands.executeCommand('yamlKeySearch.searchValue')),
+        vscode.commands.registerCommand('yamlKeySearch.results.refresh', refreshResultsView),
+        vscode.commands.registerCommand('yamlKeySearch.results.open', async node => {
+            const result = node.result;
+            if (node.type === 'value' && result.valueSpan) {
+                await previewResult(Object.assign({}, result, { line: result.valueSpan.startLine, column: result.valueSpan.startColumn }));
+            } else if (node.type === 'anchor') {
+                await previewResult(Object.assign({}, result, { line: result.anchor.line, column: result.anchor.column }));
+            } else if (result) {
+                await previewResult(result);
+            } else {
+                await previewResult({ file: node.file, line: 1, column: 1 });
+            }
+        }),
+        vscode.commands.registerCommand('yamlKeySearch.results.copyPath', async node => {
+            await vscode.env.clipboard.writeText(node.result.path);
+            vscode.window.setStatusBarMessage(`Copied ${node.result.path}`, 2000);
+        }),
+        vscode.commands.registerCommand('yamlKeySearch.results.replaceHere', async node => {
+            const results = node.type === 'file'
+                ? resultsView.results.filter(result => result.file === node.file)
+                : [node.result];
+            await showReplaceOptions(results, node.type === 'file' ? resultsView.query : node.result.path);
+        }),
+        vscode.commands.registerCommand('yamlKeySearch.results.excludeFile', async node => {
+            await excludeFileFromSearch(node.file);
+        })
+    );
 }
 
 /**
@@ -1111,6 +6649,24 @@ function activate(context) {
     };
 
     try {
+        // Build the workspace key index and keep it current
+        registerKeyIndex(context);
+
+        // Keep search results in the YAML Keys view
+        registerResultsView(context);
+
+        // Show the key path at the cursor in the status bar
+        registerKeyPathStatusBar(context);
+
+        // Track key references in application code
+        registerReferenceIndex(context);
+
+        // Flag unresolved and circular ${...} placeholders
+        registerPlaceholderDiagnostics(context);
+
+        // Flag Helm values no template references
+        registerHelmDiagnostics(context);
+
         // Register the search command with enhanced keyboard workflow
         let searchCommand = vscode.commands.registerCommand('yamlKeySearch.searchKey', async () => {
         const editor = vscode.window.activeTextEditor;
@@ -1128,7 +6684,7 @@ function activate(context) {
         }
         
         const searchKey = await vscode.window.showInputBox({
-            prompt: 'Enter YAML key path (e.g., database.connection.timeout)',
+            prompt: 'Enter YAML key path or query (e.g., database.connection.timeout, database.*.timeout, **.timeout; filter documents with profile=prod or kind=Deployment)',
             placeHolder: 'key.subkey.property',
             value: selectedText, // Pre-fill with selected text
             valueSelection: selectedText ? [0, selectedText.length] : undefined // Select all pre-filled text
@@ -1189,7 +6745,7 @@ function activate(context) {
         }
         
         const searchKey = await vscode.window.showInputBox({
-            prompt: 'Enter YAML key path to find and replace (e.g., database.connection.timeout)',
+            prompt: 'Enter YAML key path or query to find and replace (e.g., database.connection.timeout, **.timeout; filter documents with profile=prod or kind=Deployment)',
             placeHolder: 'key.subkey.property',
             value: selectedText, // Pre-fill with selected text
             valueSelection: selectedText ? [0, selectedText.length] : undefined // Select all pre-filled text
@@ -1233,6 +6789,209 @@ function activate(context) {
         }
     });
 
+    // Register the reverse lookup (search by value) command
+    let searchValueCommand = vscode.commands.registerCommand('yamlKeySearch.searchValue', async () => {
+        const editor = vscode.window.activeTextEditor;
+        let selectedText = '';
+        
+        // Check if there's selected text to pre-fill
+        if (editor && !editor.selection.isEmpty) {
+            selectedText = editor.document.getText(editor.selection).trim();
+        }
+        
+        const searchValue = await vscode.window.showInputBox({
+            prompt: 'Enter a YAML value to find the keys holding it (literal, /regex/, or type:number|bool|null|string; filter documents with profile=prod or kind=Deployment)',
+            placeHolder: 'localhost',
+            value: selectedText, // Pre-fill with selected text
+            valueSelection: selectedText ? [0, selectedText.length] : undefined // Select all pre-filled text
+        });
+        
+        if (searchValue) {
+            await searchYamlValue(searchValue.trim(), false);
+        }
+    });
+
+    // Register the search selected value command
+    let searchSelectedValueCommand = vscode.commands.registerCommand('yamlKeySearch.searchSelectedValue', async () => {
+        try {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+
+            const selection = editor.selection;
+            let searchValue = editor.document.getText(selection);
+            
+            if (!searchValue) {
+                // If no selection, try to get the word under cursor
+                const wordRange = editor.document.getWordRangeAtPosition(editor.selection.active);
+                if (wordRange) {
+                    searchValue = editor.document.getText(wordRange);
+                }
+            }
+            
+            if (searchValue && searchValue.trim()) {
+                await searchYamlValue(searchValue.trim(), false);
+            } else {
+                vscode.window.showErrorMessage('No text selected or word under cursor');
+            }
+        } catch (error) {
+            console.error('Error in searchSelectedValue command:', error);
+            vscode.window.showErrorMessage(`Error: ${error.message}`);
+        }
+    });
+
+    // Register the find and replace by value command
+    let findReplaceValueCommand = vscode.commands.registerCommand('yamlKeySearch.findAndReplaceValue', async () => {
+        const editor = vscode.window.activeTextEditor;
+        let selectedText = '';
+        
+        // Check if there's selected text to pre-fill
+        if (editor && !editor.selection.isEmpty) {
+            selectedText = editor.document.getText(editor.selection).trim();
+        }
+        
+        const searchValue = await vscode.window.showInputBox({
+            prompt: 'Enter a YAML value to find and replace (literal, /regex/, or type:number|bool|null|string; filter documents with profile=prod or kind=Deployment)',
+            placeHolder: 'localhost',
+            value: selectedText, // Pre-fill with selected text
+            valueSelection: selectedText ? [0, selectedText.length] : undefined // Select all pre-filled text
+        });
+        
+        if (searchValue) {
+            await searchYamlValue(searchValue.trim(), true);
+        }
+    });
+
+    // Register the move key command
+    let moveKeyCommand = vscode.commands.registerCommand('yamlKeySearch.moveKey', async () => {
+        const editor = vscode.window.activeTextEditor;
+        let currentPath = '';
+        
+        // Pre-fill with the key under the cursor
+        if (editor && editor.document.languageId === 'yaml') {
+            const found = findKeyPathAtPosition(editor.document, editor.selection.active);
+            if (found) {
+                currentPath = found.keyPath.path;
+            }
+        }
+        
+        const sourcePath = await vscode.window.showInputBox({
+            prompt: 'Enter the YAML key path to move (e.g., database.backup)',
+            placeHolder: 'key.subkey',
+            value: currentPath,
+            valueSelection: currentPath ? [0, currentPath.length] : undefined
+        });
+        if (!sourcePath) {
+            return;
+        }
+        
+        const targetPath = await vscode.window.showInputBox({
+            prompt: `Enter the new path for ${sourcePath.trim()} (e.g., backup.database)`,
+            placeHolder: 'new.key.path'
+        });
+        if (targetPath) {
+            await moveYamlKey(sourcePath.trim(), targetPath.trim());
+        }
+    });
+
+    // Register the add missing key command
+    let addMissingKeyCommand = vscode.commands.registerCommand('yamlKeySearch.addMissingKey', async () => {
+        const keyPathText = await vscode.window.showInputBox({
+            prompt: 'Enter the YAML key path to add to every file that lacks it (e.g., database.pool.idle-timeout)',
+            placeHolder: 'key.subkey.property'
+        });
+        if (!keyPathText) {
+            return;
+        }
+        
+        const defaultValue = await vscode.window.showInputBox({
+            prompt: `Enter the default value for ${keyPathText.trim()}`,
+            placeHolder: 'value'
+        });
+        if (defaultValue !== undefined) {
+            await addMissingYamlKey(keyPathText.trim(), defaultValue);
+        }
+    });
+
+    // Register the delete key command
+    let deleteKeyCommand = vscode.commands.registerCommand('yamlKeySearch.deleteKey', async () => {
+        const editor = vscode.window.activeTextEditor;
+        let currentPath = '';
+        
+        // Pre-fill with the key under the cursor
+        if (editor && editor.document.languageId === 'yaml') {
+            const found = findKeyPathAtPosition(editor.document, editor.selection.active);
+            if (found) {
+                currentPath = found.keyPath.path;
+            }
+        }
+        
+        const searchKey = await vscode.window.showInputBox({
+            prompt: 'Enter the YAML key path or query to delete (e.g., api.legacy-auth, **.deprecated)',
+            placeHolder: 'key.subkey.property',
+            value: currentPath,
+            valueSelection: currentPath ? [0, currentPath.length] : undefined
+        });
+        if (searchKey && searchKey.trim()) {
+            await deleteYamlKey(searchKey.trim());
+        }
+    });
+
+    // Register the compare values command
+    let compareValuesCommand = vscode.commands.registerCommand('yamlKeySearch.compareValues', async () => {
+        const editor = vscode.window.activeTextEditor;
+        let currentPath = '';
+        
+        // Pre-fill with the key under the cursor
+        if (editor && editor.document.languageId === 'yaml') {
+            const found = findKeyPathAtPosition(editor.document, editor.selection.active);
+            if (found) {
+                currentPath = found.keyPath.path;
+            }
+        }
+        
+        const searchKey = await vscode.window.showInputBox({
+            prompt: 'Enter the YAML key path or subtree to compare across files (e.g., spring.datasource)',
+            placeHolder: 'key.subkey',
+            value: currentPath,
+            valueSelection: currentPath ? [0, currentPath.length] : undefined
+        });
+        if (searchKey && searchKey.trim()) {
+            await compareYamlValues(searchKey.trim());
+        }
+    });
+
+    // Register the drift report command
+    let driftReportCommand = vscode.commands.registerCommand('yamlKeySearch.driftReport', async () => {
+        await showDriftReport();
+    });
+
+    // Register the copy key path commands
+    let copyKeyPathCommand = vscode.commands.registerCommand('yamlKeySearch.copyKeyPath', async () => {
+        await copyKeyPathAtCursor('dot');
+    });
+    let copyKeyPathAsCommand = vscode.commands.registerCommand('yamlKeySearch.copyKeyPathAs', async () => {
+        await copyKeyPathAtCursor();
+    });
+
+    // Register F2 rename for YAML keys
+    let renameProvider = vscode.languages.registerRenameProvider({ language: 'yaml' }, yamlKeyRenameProvider);
+
+    // Register Go to Definition from application code to YAML keys
+    let definitionProvider = vscode.languages.registerDefinitionProvider({ scheme: 'file' }, yamlKeyDefinitionProvider);
+
+    // Register Find All References and reference CodeLenses for YAML keys
+    let referenceProvider = vscode.languages.registerReferenceProvider({ language: 'yaml' }, yamlKeyReferenceProvider);
+    let referenceCodeLensProvider = vscode.languages.registerCodeLensProvider({ language: 'yaml' }, yamlKeyReferenceCodeLensProvider);
+
+    // Register Ctrl+Click on ${...} placeholders in YAML values
+    let placeholderLinkProvider = vscode.languages.registerDocumentLinkProvider({ language: 'yaml' }, yamlPlaceholderLinkProvider);
+
+    // Register hovers showing a key's full path and its values in other files
+    let hoverProvider = vscode.languages.registerHoverProvider({ language: 'yaml' }, yamlKeyHoverProvider);
+
     // Register the configure exclusions command
     let configureExclusionsCommand = vscode.commands.registerCommand('yamlKeySearch.configureExclusions', async () => {
         try {
@@ -1254,7 +7013,7 @@ function activate(context) {
         }
     });
 
-        context.subscriptions.push(searchCommand, searchSelectedCommand, findReplaceCommand, findReplaceSelectedCommand, configureExclusionsCommand);
+        context.subscriptions.push(searchCommand, searchSelectedCommand, findReplaceCommand, findReplaceSelectedCommand, searchValueCommand, searchSelectedValueCommand, findReplaceValueCommand, moveKeyCommand, addMissingKeyCommand, deleteKeyCommand, compareValuesCommand, driftReportCommand, copyKeyPathCommand, copyKeyPathAsCommand, renameProvider, hoverProvider, definitionProvider, referenceProvider, referenceCodeLensProvider, placeholderLinkProvider, configureExclusionsCommand);
         
         // Restore original console methods on deactivation
         context.subscriptions.push({